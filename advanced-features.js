@@ -6,6 +6,8 @@
  * 2. 缓存系统和性能优化
  * 3. 错误处理和重试机制
  * 4. 插件系统和扩展性
+ *
+ * 以普通脚本方式加载（内容脚本、弹窗页面），其中的类直接作为全局类使用
  */
 
 // 1. 配置管理系统
@@ -29,7 +31,24 @@ class ConfigManager {
         timeout: 30000,
         retryAttempts: 3,
         retryDelay: 1000,
-        userAgent: 'PDF Generator Bot 1.0'
+        userAgent: 'PDF Generator Bot 1.0',
+        requestDelay: 300,        // 同一主机两次页面请求的最小间隔（毫秒）
+        imageRequestDelay: 100,   // 同一主机两次图片请求的最小间隔（毫秒）
+        respectRobotsTxt: true,   // 遵守 robots.txt 的 Disallow 和 Crawl-delay
+        maxRetryAfter: 60000      // 429/503 时 Retry-After 的最长等待时间（毫秒）
+      },
+      
+      // 页面和图片缓存（保存在扩展的 IndexedDB 中，重新导出时用 ETag / Last-Modified 条件请求）
+      cache: {
+        enabled: true,
+        ttl: 7 * 24 * 3600000,       // 条目有效期：7天，过期条目在容量不足时优先清理
+        maxBytes: 200 * 1024 * 1024  // 容量上限：200MB
+      },
+      
+      // 登录状态：默认不携带 Cookie，开启后只发送给允许列表中的同站主机
+      auth: {
+        useSession: false,
+        allowedDomains: []   // 如 ['wiki.example.com', '*.corp.example.com']
       },
       
       // 用户界面
@@ -38,7 +57,10 @@ class ConfigManager {
         language: 'zh-CN',
         showProgress: true,
         enableNotifications: true
-      }
+      },
+      
+      // 站点提取规则：origin -> 规则（见 SiteRules）
+      siteRules: {}
     };
     
     this.config = { ...this.defaultConfig };
@@ -136,66 +158,135 @@ class ConfigManager {
 }
 
 // 2. 缓存系统
+// 内存中的 Map 作为一级缓存；提供 dbName 时条目同时持久化到 IndexedDB，跨会话保留
+// IndexedDB 分两个对象存储：entries 保存数据本身（HTML 文本、图片 Blob），meta 只保存大小和时间，
+// 按容量清理时只需读取 meta
 class CacheManager {
-  constructor(maxSize = 100, ttl = 3600000) { // 1小时默认TTL
+  /**
+   * @param {number} maxSize - 内存中最多保存的条目数
+   * @param {number} ttl - 条目有效期（毫秒）
+   * @param {Object} options - {dbName, maxBytes}，maxBytes 为持久缓存的容量上限（字节，0 表示不限）
+   */
+  constructor(maxSize = 100, ttl = 3600000, options = {}) { // 1小时默认TTL
     this.cache = new Map();
     this.maxSize = maxSize;
     this.ttl = ttl;
+    this.dbName = options.dbName || null;
+    this.maxBytes = options.maxBytes || 0;
+    this.dbPromise = null;
   }
   
   /**
-   * 获取缓存
+   * 获取缓存，过期的条目视为不存在
    */
   async get(key) {
-    const item = this.cache.get(key);
-    
+    const item = await this.getEntry(key);
     if (!item) return null;
     
     // 检查过期时间
     if (Date.now() > item.expiry) {
-      this.cache.delete(key);
+      await this.delete(key);
       return null;
     }
+    return item.data;
+  }
+  
+  /**
+   * 获取完整的缓存条目（含 etag、lastModified 等元数据），用于条件请求
+   * 过期的条目同样返回：由服务器确认是否修改，304 时经 touch 重新计算有效期；
+   * 有效期只决定容量不足时的清理顺序
+   */
+  async getEntry(key) {
+    let item = this.cache.get(key);
+    
+    if (!item && this.dbName) {
+      item = await this.readPersistent(key);
+      if (item) this.cache.set(key, item);
+    }
+    
+    if (!item) return null;
     
     // 更新访问时间（LRU）
     item.lastAccess = Date.now();
     
     console.log(`📥 缓存命中: ${key}`);
-    return item.data;
+    return item;
   }
   
   /**
    * 设置缓存
+   * @param {Object} meta - 随数据保存的附加信息，如 {etag, lastModified, contentType}
    */
-  async set(key, data) {
+  async set(key, data, meta = {}) {
     // 检查缓存大小，必要时清理
     if (this.cache.size >= this.maxSize) {
       this.cleanup();
     }
     
+    const now = Date.now();
     const item = {
+      ...meta,
+      key,
       data,
-      expiry: Date.now() + this.ttl,
-      lastAccess: Date.now(),
+      storedAt: now,
+      expiry: now + this.ttl,
+      lastAccess: now,
       size: this.calculateSize(data)
     };
     
     this.cache.set(key, item);
+    
+    if (this.dbName) {
+      await this.writePersistent(item);
+      await this.enforceByteLimit().catch(error => console.warn('清理持久缓存失败:', error));
+    }
     console.log(`💾 数据已缓存: ${key}`);
   }
   
+  /**
+   * 条目经服务器确认未修改（304）后，重新计算有效期
+   */
+  async touch(key) {
+    const item = await this.getEntry(key);
+    if (!item) return;
+    
+    item.expiry = Date.now() + this.ttl;
+    item.lastAccess = Date.now();
+    
+    if (this.dbName) {
+      await this.transaction('readwrite', (entries, meta) => meta.put(this.toMeta(item)))
+        .catch(error => console.warn(`更新持久缓存失败: ${key}`, error));
+    }
+  }
+  
   /**
    * 删除缓存
    */
-  delete(key) {
-    return this.cache.delete(key);
+  async delete(key) {
+    const existed = this.cache.delete(key);
+    
+    if (this.dbName) {
+      await this.transaction('readwrite', (entries, meta) => {
+        entries.delete(key);
+        meta.delete(key);
+      });
+    }
+    return existed;
   }
   
   /**
    * 清空缓存
    */
-  clear() {
+  async clear() {
     this.cache.clear();
+    
+    if (this.dbName) {
+      await this.transaction('readwrite', (entries, meta) => {
+        entries.clear();
+        meta.clear();
+      });
+    }
+    console.log('🧹 缓存已清空');
   }
   
   /**
@@ -223,12 +314,48 @@ class CacheManager {
       }
     }
     
-    // 执行删除
+    // 执行删除（只影响内存，持久缓存按 maxBytes 单独清理）
     toDelete.forEach(key => this.cache.delete(key));
     
     console.log(`🧹 清理了 ${toDelete.length} 个缓存项`);
   }
   
+  /**
+   * 持久缓存超过容量上限时，先删除过期条目，再按最近访问时间删除最旧的条目
+   * 未超出容量时过期条目继续保留，下次导出仍可用条件请求重新验证
+   */
+  async enforceByteLimit() {
+    if (!this.maxBytes) return;
+    
+    const metaItems = await this.readAllMeta();
+    let totalSize = metaItems.reduce((sum, item) => sum + item.size, 0);
+    if (totalSize <= this.maxBytes) return;
+    
+    const now = Date.now();
+    const byAge = (a, b) => a.lastAccess - b.lastAccess;
+    const candidates = [
+      ...metaItems.filter(item => now > item.expiry).sort(byAge),
+      ...metaItems.filter(item => now <= item.expiry).sort(byAge)
+    ];
+    
+    const toDelete = [];
+    for (const item of candidates) {
+      if (totalSize <= this.maxBytes) break;
+      toDelete.push(item);
+      totalSize -= item.size;
+    }
+    
+    await this.transaction('readwrite', (entries, meta) => {
+      for (const item of toDelete) {
+        entries.delete(item.key);
+        meta.delete(item.key);
+      }
+    });
+    toDelete.forEach(item => this.cache.delete(item.key));
+    
+    console.log(`🧹 持久缓存清理了 ${toDelete.length} 个条目 (当前 ${this.formatSize(totalSize)})`);
+  }
+  
   /**
    * 获取缓存统计
    */
@@ -251,7 +378,108 @@ class CacheManager {
     };
   }
   
+  /**
+   * 获取持久缓存统计
+   * @returns {Promise<Object>} {count, bytes, maxBytes}
+   */
+  async getPersistentStats() {
+    if (!this.dbName) {
+      return { count: 0, bytes: 0, maxBytes: this.maxBytes };
+    }
+    
+    const metaItems = await this.readAllMeta();
+    return {
+      count: metaItems.length,
+      bytes: metaItems.reduce((sum, item) => sum + item.size, 0),
+      maxBytes: this.maxBytes
+    };
+  }
+  
+  // ---------- IndexedDB ----------
+  
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('entries', { keyPath: 'key' });
+          db.createObjectStore('meta', { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+  
+  /**
+   * 在同时覆盖 entries 和 meta 的事务中执行操作
+   * @param {Function} operation - (entries, meta) => 任意值，事务完成后原样返回（IDBRequest 的 result 此时可读）
+   */
+  async transaction(mode, operation) {
+    const db = await this.openDB();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['entries', 'meta'], mode);
+      const result = operation(tx.objectStore('entries'), tx.objectStore('meta'));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  async readPersistent(key) {
+    try {
+      const [entryRequest, metaRequest] = await this.transaction('readonly', (entries, meta) => [
+        entries.get(key),
+        meta.get(key)
+      ]);
+      
+      if (!entryRequest.result || !metaRequest.result) return null;
+      return { ...entryRequest.result, ...metaRequest.result };
+    } catch (error) {
+      console.warn(`读取持久缓存失败: ${key}`, error);
+      return null;
+    }
+  }
+  
+  async writePersistent(item) {
+    const { storedAt, expiry, lastAccess, size, ...entry } = item;
+    
+    try {
+      await this.transaction('readwrite', (entries, meta) => {
+        entries.put(entry);
+        meta.put(this.toMeta(item));
+      });
+    } catch (error) {
+      // 磁盘配额不足等情况下只保留内存缓存
+      console.warn(`写入持久缓存失败: ${item.key}`, error);
+    }
+  }
+  
+  async readAllMeta() {
+    const request = await this.transaction('readonly', (entries, meta) => meta.getAll());
+    return request.result || [];
+  }
+  
+  toMeta(item) {
+    return {
+      key: item.key,
+      storedAt: item.storedAt,
+      expiry: item.expiry,
+      lastAccess: item.lastAccess,
+      size: item.size
+    };
+  }
+  
   calculateSize(data) {
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      return data.size;
+    }
     return JSON.stringify(data).length * 2; // 粗略估算
   }
   
@@ -275,15 +503,20 @@ class RetryManager {
   
   /**
    * 执行带重试的操作
+   * @param {Function} operation - 要执行的异步操作，参数为当前尝试次数（从1开始）
+   * @param {Object} context - {description, shouldRetry(error), signal}，shouldRetry 返回 false 的错误立即抛出，
+   *                           signal 中止时不再等待退避
+   * 最终抛出的错误带有 attempts 属性，记录实际尝试次数
    */
   async execute(operation, context = {}) {
     let lastError;
+    let attempt;
     
-    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+    for (attempt = 1; attempt <= this.maxAttempts; attempt++) {
       try {
         console.log(`🔄 尝试 ${attempt}/${this.maxAttempts}: ${context.description || '执行操作'}`);
         
-        const result = await operation();
+        const result = await operation(attempt);
         
         if (attempt > 1) {
           console.log(`✅ 重试成功: ${context.description || '操作完成'}`);
@@ -296,18 +529,60 @@ class RetryManager {
         
         console.warn(`❌ 尝试 ${attempt} 失败:`, error.message);
         
+        // 不可重试的错误（如 404、跨域限制）直接抛出
+        if (context.shouldRetry && !context.shouldRetry(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        
         // 如果不是最后一次尝试，则等待后重试
         if (attempt < this.maxAttempts) {
-          const delay = this.calculateDelay(attempt);
-          console.log(`⏳ ${delay}ms 后重试...`);
-          await this.wait(delay);
+          // 服务器通过 Retry-After 要求的等待时间优先
+          const delay = Math.max(this.calculateDelay(attempt), Math.min(error.retryAfterMs || 0, 60000));
+          console.log(`⏳ ${Math.round(delay)}ms 后重试...`);
+          await this.wait(delay, context.signal);
         }
       }
     }
     
     // 所有尝试都失败了
     console.error(`💥 所有重试都失败了: ${context.description || '操作失败'}`);
-    throw new Error(`操作失败，已尝试 ${this.maxAttempts} 次。最后错误: ${lastError.message}`);
+    const error = new Error(`操作失败，已尝试 ${this.maxAttempts} 次。最后错误: ${lastError.message}`);
+    error.attempts = this.maxAttempts;
+    error.status = lastError.status;
+    error.timeout = lastError.timeout;
+    error.cause = lastError;
+    throw error;
+  }
+  
+  /**
+   * 判断错误是否值得重试：超时、5xx 和 429
+   * 4xx、跨域限制等确定性错误重试也不会成功
+   */
+  static isRetryableError(error) {
+    if (!error) return false;
+    if (error.timeout || error.name === 'TimeoutError') return true;
+    
+    const status = error.status;
+    return status === 429 || (status >= 500 && status < 600);
+  }
+  
+  /**
+   * 由失败的 HTTP 响应生成错误，附带状态码和 Retry-After
+   */
+  static createHttpError(status, statusText = '', retryAfter = null) {
+    const error = new Error(`HTTP ${status}: ${statusText}`);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) {
+      error.retryAfterMs = seconds * 1000;
+    } else if (retryAfter && !Number.isNaN(Date.parse(retryAfter))) {
+      error.retryAfterMs = Math.max(0, Date.parse(retryAfter) - Date.now());
+    }
+    
+    return error;
   }
   
   /**
@@ -321,14 +596,145 @@ class RetryManager {
   }
   
   /**
-   * 等待指定时间
+   * 等待指定时间，signal 中止时提前结束
    */
-  wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  wait(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal && signal.aborted) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
   }
 }
 
-// 4. 插件系统
+// 4. 导出任务存储
+/**
+ * 导出任务保存在扩展的 IndexedDB 中，服务 worker 重启、浏览器崩溃后可以从中断处继续：
+ * - jobs: 任务记录 {id, type, title, url, startPage, options, status, completedPages, totalPages, createdAt, updatedAt}
+ *   options.pages 即页面计划（导航和 sitemap 模式）
+ * - pages: 已完成的页面 {jobId, url, result}
+ * - images: 已下载的图片 {jobId, url, blob, extension}
+ * status: running / interrupted / failed，成功或取消的任务直接删除
+ */
+class JobStore {
+  constructor(dbName = 'pdfGeneratorJobs') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+  
+  async saveJob(job) {
+    const now = Date.now();
+    await this.transaction(['jobs'], 'readwrite', jobs => jobs.put({ createdAt: now, ...job, updatedAt: now }));
+  }
+  
+  /**
+   * 合并更新任务记录，任务不存在时忽略
+   */
+  async updateJob(id, changes) {
+    await this.transaction(['jobs'], 'readwrite', jobs => {
+      const request = jobs.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          jobs.put({ ...request.result, ...changes, updatedAt: Date.now() });
+        }
+      };
+    });
+  }
+  
+  async getJob(id) {
+    const request = await this.transaction(['jobs'], 'readonly', jobs => jobs.get(id));
+    return request.result || null;
+  }
+  
+  async listJobs() {
+    const request = await this.transaction(['jobs'], 'readonly', jobs => jobs.getAll());
+    return request.result || [];
+  }
+  
+  /**
+   * 删除任务及其已保存的页面和图片
+   */
+  async deleteJob(id) {
+    await this.transaction(['jobs', 'pages', 'images'], 'readwrite', (jobs, pages, images) => {
+      jobs.delete(id);
+      pages.delete(this.jobRange(id));
+      images.delete(this.jobRange(id));
+    });
+  }
+  
+  async savePage(jobId, url, result) {
+    await this.transaction(['pages'], 'readwrite', pages => pages.put({ jobId, url, result }));
+  }
+  
+  /**
+   * @returns {Promise<Map>} URL -> 页面抓取结果
+   */
+  async getPages(jobId) {
+    const request = await this.transaction(['pages'], 'readonly', pages => pages.getAll(this.jobRange(jobId)));
+    return new Map((request.result || []).map(page => [page.url, page.result]));
+  }
+  
+  async saveImage(jobId, url, image) {
+    await this.transaction(['images'], 'readwrite', images => images.put({ ...image, jobId, url }));
+  }
+  
+  async getImage(jobId, url) {
+    const request = await this.transaction(['images'], 'readonly', images => images.get([jobId, url]));
+    return request.result || null;
+  }
+  
+  /**
+   * 某个任务的全部 [jobId, url] 主键
+   */
+  jobRange(jobId) {
+    return IDBKeyRange.bound([jobId, ''], [jobId, '\uffff']);
+  }
+  
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('jobs', { keyPath: 'id' });
+          db.createObjectStore('pages', { keyPath: ['jobId', 'url'] });
+          db.createObjectStore('images', { keyPath: ['jobId', 'url'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+  
+  /**
+   * @param {Function} operation - (...objectStores) => 任意值，事务完成后原样返回
+   */
+  async transaction(storeNames, mode, operation) {
+    const db = await this.openDB();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const result = operation(...storeNames.map(name => tx.objectStore(name)));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+// 5. 插件系统
 class PluginManager {
   constructor() {
     this.plugins = new Map();
@@ -456,7 +862,7 @@ class ImageOptimizerPlugin {
   }
 }
 
-// 5. 综合使用示例
+// 6. 综合使用示例
 class AdvancedPDFGenerator {
   constructor() {
     this.config = new ConfigManager();
@@ -570,11 +976,3 @@ class AdvancedPDFGenerator {
  * 3. 企业级工具的可配置性
  * 4. 分布式系统的容错处理
  */
-
-export { 
-  ConfigManager, 
-  CacheManager, 
-  RetryManager, 
-  PluginManager, 
-  AdvancedPDFGenerator 
-}; 
\ No newline at end of file
@@ -9,9 +9,22 @@
  * 4. 提供API接口给其他组件
  */
 
+// 配置管理、缓存、重试机制和字符编码识别与内容脚本共用
+importScripts('advanced-features.js', 'charset-decoder.js');
+
+// 离屏文档发起的请求没有标签页ID，统一登记在这个键下
+const OFFSCREEN_REQUESTS = 'offscreen';
+
 class PDFGeneratorBackground {
   constructor() {
-    this.activeGenerations = new Map(); // 记录正在进行的生成任务
+    this.activeGenerations = new Map(); // 记录导出任务（进行中和最近结束的）
+    this.creatingOffscreen = null; // 正在创建离屏文档的 Promise，避免重复创建
+    this.jobStore = new JobStore(); // 导出任务的持久记录，中断后可以继续
+    this.recovering = null; // 启动时恢复任务状态的 Promise
+    this.pendingRequests = new Map(); // 标签页ID（或 OFFSCREEN_REQUESTS）-> 进行中请求的 AbortController 集合
+    this.cache = null; // 页面和图片的持久缓存，首次请求时按配置创建
+    this.renderWindows = new Map(); // 请求归属 -> 渲染窗口ID的 Promise，每次导出创建一个最小化窗口并复用
+    this.renderWindowIds = {}; // 请求归属 -> 已创建的渲染窗口ID，同步到 chrome.storage.session，服务 worker 重启后据此关闭遗留的窗口
     this.settings = {};
     this.init();
   }
@@ -35,6 +48,19 @@ class PDFGeneratorBackground {
       });
     }
     
+    // 渲染窗口被用户关闭后不再复用；发起渲染的标签页关闭时一并关闭它的渲染窗口
+    chrome.windows.onRemoved.addListener((windowId) => {
+      this.forgetRenderWindow(windowId);
+    });
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.closeRenderWindow(tabId);
+    });
+    
+    // 服务 worker 可能在导出途中被重启，启动时检查未完成的任务
+    this.recovering = this.recoverTasks().catch(error => {
+      console.error('恢复导出任务失败:', error);
+    });
+    
     console.log('PDF生成器后台服务已启动');
   }
   
@@ -99,8 +125,8 @@ class PDFGeneratorBackground {
     try {
       switch (message.action) {
         case 'startGeneration':
-          await this.startGeneration(message.data, sender);
-          sendResponse({ success: true });
+          const taskId = await this.startGeneration(message.data, sender);
+          sendResponse({ success: true, taskId });
           break;
           
         case 'getGenerationStatus':
@@ -113,6 +139,44 @@ class PDFGeneratorBackground {
           sendResponse({ success: true });
           break;
           
+        case 'resumeGeneration':
+          const resumedTaskId = await this.resumeGeneration(message.taskId);
+          sendResponse({ success: true, taskId: resumedTaskId });
+          break;
+          
+        case 'getResumableGeneration':
+          sendResponse({ success: true, task: await this.getResumableGeneration() });
+          break;
+          
+        case 'discardGeneration':
+          await this.jobStore.deleteJob(message.taskId);
+          sendResponse({ success: true });
+          break;
+          
+        case 'generationProgress':
+          this.updateGenerationProgress(message.taskId, message.text, message.percent);
+          sendResponse({ success: true });
+          break;
+          
+        case 'generationFinished':
+          this.finishGeneration(message.taskId, message);
+          sendResponse({ success: true });
+          break;
+          
+        case 'openEbookViewer':
+          await this.openEbookViewer(message.taskId, message.title, message.html);
+          sendResponse({ success: true });
+          break;
+          
+        case 'getGenerationResult':
+          sendResponse(this.getGenerationResult(message.taskId));
+          break;
+          
+        case 'downloadFile':
+          const downloadId = await chrome.downloads.download({ url: message.url, filename: message.filename });
+          sendResponse({ success: true, downloadId });
+          break;
+          
         case 'getStatistics':
           const stats = await this.getStatistics();
           sendResponse({ statistics: stats });
@@ -135,7 +199,7 @@ class PDFGeneratorBackground {
           
         case 'fetchPage':
           try {
-            const pageData = await this.fetchPage(message.url);
+            const pageData = await this.fetchPage(message.url, this.getRequestOwner(sender));
             sendResponse(pageData);
           } catch (error) {
             console.error('fetchPage error:', error);
@@ -143,6 +207,33 @@ class PDFGeneratorBackground {
           }
           break;
           
+        case 'fetchImage':
+          sendResponse(await this.fetchImage(message.url, this.getRequestOwner(sender)));
+          break;
+          
+        case 'getCacheStats':
+          sendResponse({ success: true, stats: await this.getCacheStats() });
+          break;
+          
+        case 'clearCache':
+          sendResponse({ success: true, stats: await this.clearCache() });
+          break;
+          
+        case 'renderPage':
+          try {
+            const renderData = await this.renderPage(message.url, message.options, this.getRequestOwner(sender));
+            sendResponse(renderData);
+          } catch (error) {
+            console.error('renderPage error:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+          
+        case 'abortFetches':
+          this.abortRequests(this.getRequestOwner(sender));
+          sendResponse({ success: true });
+          break;
+          
         default:
           console.log('未知消息类型:', message.action);
           sendResponse({ error: '未知操作类型' });
@@ -155,66 +246,314 @@ class PDFGeneratorBackground {
   }
   
   /**
-   * 开始PDF生成任务
-   * 实现任务队列管理，避免同时进行太多生成任务
+   * 开始导出任务
+   * 任务由后台持有：页面请求经后台发出，页面解析、排版和打包在离屏文档中进行（service worker 没有 DOMParser），
+   * 进度广播给弹窗和发起任务的标签页，关闭弹窗或标签页跳转都不影响任务
+   * @param {Object} data - {type: 'pdf' | 'markdown', startPage: {url, title, content}, options}
+   * @returns {Promise<string>} 任务ID
    */
   async startGeneration(data, sender) {
-    const taskId = this.generateTaskId();
-    const task = {
-      id: taskId,
-      tabId: sender.tab.id,
-      url: sender.tab.url,
-      title: data.title,
-      status: 'preparing',
-      progress: 0,
-      startTime: Date.now(),
+    return await this.launchGeneration({
+      id: this.generateTaskId(),
+      type: data.type,
+      startPage: data.startPage,
       options: data.options
-    };
+    }, sender.tab?.id);
+  }
+  
+  /**
+   * 继续中断或失败的导出任务，已完成的页面和图片从任务存储中读取
+   */
+  async resumeGeneration(taskId) {
+    const job = await this.jobStore.getJob(taskId);
+    if (!job) {
+      throw new Error('导出任务不存在或已过期');
+    }
+    
+    return await this.launchGeneration({
+      id: job.id,
+      type: job.type,
+      startPage: job.startPage,
+      options: job.options,
+      resume: true
+    });
+  }
+  
+  /**
+   * 登记任务并交给离屏文档执行
+   * @param {Object} job - {id, type, startPage, options, resume}
+   * @param {number} tabId - 发起任务的标签页，接收进度通知
+   */
+  async launchGeneration(job, tabId) {
+    const running = Array.from(this.activeGenerations.values()).find(task => !task.finishedAt);
+    if (running) {
+      throw new Error('已有导出任务正在进行，请等待完成或取消后再试');
+    }
+    
+    // 离屏文档不能访问 chrome.storage，配置随任务传入
+    const config = new ConfigManager();
+    await config.load();
     
-    this.activeGenerations.set(taskId, task);
+    const task = this.createTaskState(job.id, job.type, job.startPage.url, job.options.title, tabId);
+    this.activeGenerations.set(job.id, task);
     
     try {
-      // 通知开始生成
-      await chrome.tabs.sendMessage(sender.tab.id, {
-        action: 'startPDFGeneration',
-        taskId: taskId,
-        options: data.options
+      await this.ensureOffscreenDocument();
+      
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'runGeneration',
+        task: { ...job, config: config.config }
       });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '离屏文档未响应');
+      }
       
-      // 更新统计信息
-      await this.updateStatistics();
+      // 更新统计信息（继续导出不重复计数）
+      if (!job.resume) {
+        await this.updateStatistics();
+      }
       
     } catch (error) {
-      this.activeGenerations.delete(taskId);
+      this.activeGenerations.delete(job.id);
       throw error;
     }
+    
+    console.log(`📦 导出任务已${job.resume ? '继续' : '开始'}: ${job.id} (${task.type}) ${task.url}`);
+    this.notifyGenerationUpdate(task);
+    return job.id;
+  }
+  
+  createTaskState(id, type, url, title, tabId) {
+    return {
+      id,
+      type,
+      tabId,
+      url,
+      title,
+      status: 'running',
+      progress: 0,
+      text: '准备中...',
+      error: null,
+      boilerplate: [],
+      startTime: Date.now(),
+      finishedAt: null,
+      result: null
+    };
+  }
+  
+  /**
+   * 服务 worker 重启后恢复任务状态
+   * 离屏文档仍在执行的任务重新登记；其余停在 running 的任务已经中断，标记为 interrupted 供用户继续
+   */
+  async recoverTasks() {
+    await this.closeStaleRenderWindows().catch(error => {
+      console.warn('关闭遗留的渲染窗口失败:', error);
+    });
+    
+    const jobs = (await this.jobStore.listJobs()).filter(job => job.status === 'running');
+    if (jobs.length === 0) return;
+    
+    const runningTaskId = await this.getOffscreenTaskId();
+    
+    for (const job of jobs) {
+      if (job.id === runningTaskId) {
+        this.activeGenerations.set(job.id, this.createTaskState(job.id, job.type, job.url, job.title));
+        console.log(`♻️ 重新接管进行中的导出任务: ${job.id}`);
+      } else {
+        await this.jobStore.updateJob(job.id, { status: 'interrupted' });
+        console.log(`⚠️ 导出任务已中断，可在弹窗中继续: ${job.id} (已完成 ${job.completedPages} 个页面)`);
+      }
+    }
   }
   
+  /**
+   * 离屏文档正在执行的任务ID，离屏文档不存在时返回 null
+   */
+  async getOffscreenTaskId() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length === 0) return null;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'getCurrentTask' });
+      return response?.taskId || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * 最近一个可以继续的导出任务（中断或失败），超过7天的记录直接删除
+   */
+  async getResumableGeneration() {
+    await this.recovering;
+    
+    const maxAge = 7 * 24 * 3600000;
+    let latest = null;
+    
+    for (const job of await this.jobStore.listJobs()) {
+      if (Date.now() - job.updatedAt > maxAge) {
+        await this.jobStore.deleteJob(job.id);
+        continue;
+      }
+      if (job.status === 'running') continue;
+      if (!latest || job.updatedAt > latest.updatedAt) {
+        latest = job;
+      }
+    }
+    
+    return latest ? {
+      id: latest.id,
+      type: latest.type,
+      title: latest.title,
+      url: latest.url,
+      status: latest.status,
+      error: latest.error || null,
+      completedPages: latest.completedPages,
+      totalPages: latest.totalPages,
+      updatedAt: latest.updatedAt
+    } : null;
+  }
+  
+  /**
+   * 确保离屏文档已创建（同一时间只能有一个）
+   */
+  async ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) return;
+    
+    if (!this.creatingOffscreen) {
+      this.creatingOffscreen = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['DOM_PARSER', 'BLOBS'],
+        justification: '解析抓取的页面HTML，生成电子书并打包导出文件'
+      }).finally(() => {
+        this.creatingOffscreen = null;
+      });
+    }
+    await this.creatingOffscreen;
+  }
+  
+  /**
+   * 查询任务状态，不指定任务ID时返回最近的任务（弹窗重新打开时恢复进度显示）
+   */
   getGenerationStatus(taskId) {
-    const task = this.activeGenerations.get(taskId);
+    const task = taskId
+      ? this.activeGenerations.get(taskId)
+      : Array.from(this.activeGenerations.values()).pop();
     return task ? {
+      id: task.id,
+      type: task.type,
+      title: task.title,
       status: task.status,
       progress: task.progress,
-      elapsed: Date.now() - task.startTime
+      text: task.text,
+      error: task.error,
+      boilerplate: task.boilerplate || [],
+      elapsed: (task.finishedAt || Date.now()) - task.startTime
     } : null;
   }
   
-  cancelGeneration(taskId) {
+  updateGenerationProgress(taskId, text, percent) {
     const task = this.activeGenerations.get(taskId);
-    if (task) {
+    if (!task || task.finishedAt) return;
+    
+    // 取消过程中仍显示“正在取消”
+    if (task.status === 'running') {
+      task.text = text;
+    }
+    task.progress = percent;
+    this.notifyGenerationUpdate(task);
+  }
+  
+  /**
+   * 记录任务结果：completed / failed / cancelled
+   */
+  finishGeneration(taskId, result) {
+    const task = this.activeGenerations.get(taskId);
+    if (!task || task.finishedAt) return;
+    
+    if (result.success) {
+      task.status = 'completed';
+      task.text = '导出完成';
+      task.progress = 100;
+      task.boilerplate = result.boilerplate || [];
+    } else if (result.cancelled) {
       task.status = 'cancelled';
-      this.activeGenerations.delete(taskId);
-      
-      // 通知相关标签页取消生成
-      chrome.tabs.sendMessage(task.tabId, {
-        action: 'cancelPDFGeneration',
-        taskId: taskId
-      }).catch(err => {
-        console.log('通知取消失败，标签页可能已关闭');
+      task.text = '已取消生成';
+    } else {
+      task.status = 'failed';
+      task.error = result.error || '导出失败';
+      task.text = task.error;
+    }
+    task.finishedAt = Date.now();
+    this.closeRenderWindow(OFFSCREEN_REQUESTS);
+    
+    console.log(`📦 导出任务结束: ${taskId} (${task.status})`);
+    this.notifyGenerationUpdate(task);
+  }
+  
+  cancelGeneration(taskId) {
+    const task = this.activeGenerations.get(taskId);
+    if (!task || task.finishedAt) return;
+    
+    task.status = 'cancelling';
+    task.text = '正在取消...';
+    this.notifyGenerationUpdate(task);
+    
+    // 立即中止进行中的请求，离屏文档在下一个检查点停止
+    this.abortRequests(OFFSCREEN_REQUESTS);
+    chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'cancelGeneration',
+      taskId: taskId
+    }).catch(() => {
+      console.log('通知取消失败，离屏文档可能已关闭');
+      this.finishGeneration(taskId, { cancelled: true });
+    });
+  }
+  
+  /**
+   * 把任务状态广播给弹窗（如果打开）和发起任务的标签页
+   */
+  notifyGenerationUpdate(task) {
+    const message = { action: 'generationUpdate', task: this.getGenerationStatus(task.id) };
+    
+    chrome.runtime.sendMessage(message).catch(() => {
+      // 弹窗未打开时没有接收方
+    });
+    
+    if (task.tabId !== undefined) {
+      chrome.tabs.sendMessage(task.tabId, message).catch(() => {
+        // 标签页可能已关闭或跳转到了其他页面
       });
     }
   }
   
+  /**
+   * 在新标签页中打开生成的电子书
+   */
+  async openEbookViewer(taskId, title, html) {
+    const task = this.activeGenerations.get(taskId);
+    if (!task) {
+      throw new Error('导出任务不存在');
+    }
+    
+    task.result = { title, html };
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(`ebook-viewer.html?task=${encodeURIComponent(taskId)}`),
+      active: true
+    });
+  }
+  
+  getGenerationResult(taskId) {
+    const task = this.activeGenerations.get(taskId);
+    if (!task || !task.result) {
+      return { success: false, error: '电子书内容已过期，请重新生成' };
+    }
+    return { success: true, ...task.result };
+  }
+  
   /**
    * 处理下载状态变化
    * 监控PDF文件的下载进度
@@ -336,47 +675,497 @@ class PDFGeneratorBackground {
    * 跨域获取页面内容
    * 利用后台脚本的特殊权限绕过CORS限制
    */
-  async fetchPage(url) {
+  async fetchPage(url, tabId) {
     try {
       console.log(`🔄 后台服务获取页面: ${url}`);
       
-      // 使用fetch API获取页面内容
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        },
-        // 在service worker中，credentials默认为'omit'
-        credentials: 'omit'
+      const page = await this.fetchResource(url, tabId, {
+        cacheKey: `page:${url}`,
+        accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        read: response => this.readResponseText(response, url)
       });
+      const { text, encoding, source, bytes } = page.data;
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      console.log(`✅ 后台服务成功获取: ${url} (${text.length} 字符，编码 ${encoding}${page.fromCache ? '，未修改' : ''})`);
       
-      const html = await response.text();
-      console.log(`✅ 后台服务成功获取: ${url} (${html.length} 字符)`);
+      return {
+        success: true,
+        html: text,
+        encoding: encoding,
+        encodingSource: source,
+        url: url,
+        finalUrl: page.finalUrl,
+        status: page.status,
+        statusText: page.statusText,
+        bytes: bytes,
+        fromCache: page.fromCache,
+        attempts: page.attempts
+      };
+      
+    } catch (error) {
+      return this.createFetchFailure(url, error);
+    }
+  }
+  
+  /**
+   * 获取图片（带缓存）
+   * 消息通道无法直接传递 Blob，图片以 base64 返回
+   */
+  async fetchImage(url, tabId) {
+    try {
+      const image = await this.fetchResource(url, tabId, {
+        cacheKey: `image:${url}`,
+        accept: 'image/*,*/*;q=0.8',
+        read: response => response.blob()
+      });
       
       return {
         success: true,
-        html: html,
+        data: await this.blobToBase64(image.data),
+        contentType: image.contentType || image.data.type || '',
         url: url,
-        status: response.status,
-        statusText: response.statusText
+        fromCache: image.fromCache,
+        attempts: image.attempts
       };
       
     } catch (error) {
+      return this.createFetchFailure(url, error);
+    }
+  }
+  
+  /**
+   * 失败响应：带回状态码、Retry-After 和尝试次数，供内容脚本的调度器退避和失败报告使用
+   */
+  createFetchFailure(url, error) {
+    if (error.cancelled) {
+      console.log(`⏹️ 已取消后台请求: ${url}`);
+    } else {
       console.error(`❌ 后台服务获取失败: ${url}`, error);
+    }
+    
+    const lastError = error.cause || error;
+    return {
+      success: false,
+      error: error.message,
+      url: url,
+      status: error.status,
+      retryAfter: lastError.retryAfter || null,
+      timeout: !!error.timeout,
+      cancelled: !!error.cancelled,
+      attempts: error.attempts || 1
+    };
+  }
+  
+  /**
+   * 带重试、超时、取消和缓存的请求
+   * 缓存中已有的资源带上 If-None-Match / If-Modified-Since 重新验证，服务器返回 304 时直接使用缓存
+   * @param {string} url - 资源地址
+   * @param {number} tabId - 发起请求的标签页，用于取消
+   * @param {Object} options - {cacheKey, accept, read(response)}
+   * @returns {Promise<Object>} {data, status, statusText, contentType, finalUrl, fromCache, attempts}
+   */
+  async fetchResource(url, tabId, options) {
+    const config = new ConfigManager();
+    await config.load();
+    const retry = new RetryManager(config.get('crawler.retryAttempts'), config.get('crawler.retryDelay'));
+    const timeout = config.get('crawler.timeout');
+    const cache = config.get('cache.enabled') ? this.getCache(config) : null;
+    const cached = cache ? await cache.getEntry(options.cacheKey) : null;
+    
+    let attempts = 1;
+    const controller = this.trackRequest(tabId);
+    
+    try {
+      // 超时、5xx 和 429 时按指数退避重试，其他错误直接返回
+      const result = await retry.execute(async (attempt) => {
+        attempts = attempt;
+        
+        // 每次尝试单独计时，超时覆盖连接和读取正文；标签页取消导出时整体中止
+        const attemptController = new AbortController();
+        const onAbort = () => attemptController.abort();
+        controller.signal.addEventListener('abort', onAbort);
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+          timedOut = true;
+          attemptController.abort();
+        }, timeout) : null;
+        
+        const headers = {
+          'Accept': options.accept,
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+        };
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+        
+        try {
+          // 使用fetch API获取内容
+          const response = await fetch(url, {
+            method: 'GET',
+            headers: headers,
+            // 响应会写入持久缓存，不携带 Cookie，避免缓存登录后才能看到的内容
+            credentials: 'omit',
+            signal: attemptController.signal
+          });
+          
+          if (response.status === 304 && cached) {
+            console.log(`♻️ 内容未修改，使用缓存: ${url}`);
+            await cache.touch(options.cacheKey);
+            return {
+              data: cached.data,
+              status: 200,
+              statusText: 'Not Modified',
+              contentType: cached.contentType,
+              finalUrl: cached.finalUrl || url,
+              fromCache: true
+            };
+          }
+          
+          if (!response.ok) {
+            throw RetryManager.createHttpError(response.status, response.statusText, response.headers.get('Retry-After'));
+          }
+          
+          const data = await options.read(response);
+          const contentType = response.headers.get('Content-Type') || '';
+          // 重定向后的最终地址，用于识别被重定向到登录页的情况
+          const finalUrl = response.url || url;
+          
+          if (cache) {
+            await cache.set(options.cacheKey, data, {
+              etag: response.headers.get('ETag'),
+              lastModified: response.headers.get('Last-Modified'),
+              contentType: contentType,
+              finalUrl: finalUrl
+            });
+          }
+          
+          return { data, status: response.status, statusText: response.statusText, contentType, finalUrl, fromCache: false };
+        } catch (error) {
+          if (controller.signal.aborted) {
+            const cancelError = new Error('已取消生成');
+            cancelError.cancelled = true;
+            throw cancelError;
+          }
+          if (timedOut) {
+            const timeoutError = new Error(`请求超时（${timeout / 1000} 秒）: ${url}`);
+            timeoutError.timeout = true;
+            throw timeoutError;
+          }
+          throw error;
+        } finally {
+          clearTimeout(timer);
+          controller.signal.removeEventListener('abort', onAbort);
+        }
+      }, {
+        description: `后台获取 ${url}`,
+        shouldRetry: RetryManager.isRetryableError,
+        signal: controller.signal
+      });
+      
+      result.attempts = attempts;
+      return result;
+      
+    } catch (error) {
+      error.attempts = error.attempts || attempts;
+      throw error;
+    } finally {
+      this.untrackRequest(tabId, controller);
+    }
+  }
+  
+  /**
+   * 持久缓存（IndexedDB），容量和有效期随设置更新
+   */
+  getCache(config) {
+    const ttl = config.get('cache.ttl');
+    const maxBytes = config.get('cache.maxBytes');
+    
+    if (!this.cache) {
+      this.cache = new CacheManager(100, ttl, { dbName: 'pdfGeneratorCache', maxBytes });
+    } else {
+      this.cache.ttl = ttl;
+      this.cache.maxBytes = maxBytes;
+    }
+    return this.cache;
+  }
+  
+  async getCacheStats() {
+    const config = new ConfigManager();
+    await config.load();
+    return await this.getCache(config).getPersistentStats();
+  }
+  
+  async clearCache() {
+    const config = new ConfigManager();
+    await config.load();
+    const cache = this.getCache(config);
+    await cache.clear();
+    return await cache.getPersistentStats();
+  }
+  
+  async blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const CHUNK_SIZE = 0x8000;
+    let binary = '';
+    
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+  }
+  
+  /**
+   * 请求的归属：内容脚本按标签页区分，离屏文档没有标签页
+   */
+  getRequestOwner(sender) {
+    return sender.tab ? sender.tab.id : OFFSCREEN_REQUESTS;
+  }
+  
+  /**
+   * 登记标签页发起的请求，便于该标签页取消导出时统一中止
+   */
+  trackRequest(tabId) {
+    const controller = new AbortController();
+    if (tabId === undefined) return controller;
+    
+    if (!this.pendingRequests.has(tabId)) {
+      this.pendingRequests.set(tabId, new Set());
+    }
+    this.pendingRequests.get(tabId).add(controller);
+    return controller;
+  }
+  
+  untrackRequest(tabId, controller) {
+    const requests = this.pendingRequests.get(tabId);
+    if (!requests) return;
+    
+    requests.delete(controller);
+    if (requests.size === 0) {
+      this.pendingRequests.delete(tabId);
+    }
+  }
+  
+  /**
+   * 中止标签页所有进行中的请求（抓取和渲染），并关闭它的渲染窗口
+   */
+  abortRequests(tabId) {
+    this.closeRenderWindow(tabId);
+    
+    const requests = this.pendingRequests.get(tabId);
+    if (!requests) return;
+    
+    console.log(`⏹️ 中止标签页 ${tabId} 的 ${requests.size} 个进行中请求`);
+    for (const controller of requests) {
+      controller.abort();
+    }
+    this.pendingRequests.delete(tabId);
+  }
+  
+  /**
+   * 读取响应文本
+   * 从原始字节按 Content-Type、<meta charset>、BOM 的顺序识别编码后解码
+   * 对 .gz 文件（如 sitemap.xml.gz）手动解压；服务器以 Content-Encoding 透明压缩的
+   * 响应已由浏览器解压，这里解压失败时按普通文本处理
+   * @returns {Promise<Object>} {text, encoding, source, bytes}，bytes 为下载的字节数
+   */
+  async readResponseText(response, url) {
+    const contentType = response.headers.get('Content-Type') || '';
+    const isGzipFile = /\.gz($|\?)/i.test(url) || /application\/(x-)?gzip/i.test(contentType);
+    const buffer = await response.arrayBuffer();
+    const bytes = buffer.byteLength;
+    
+    if (!isGzipFile || typeof DecompressionStream === 'undefined') {
+      return { ...CharsetDecoder.decode(buffer, contentType), bytes };
+    }
+    
+    try {
+      const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+      // 解压后的 Content-Type 是 gzip，编码只能从内容本身判断
+      return { ...CharsetDecoder.decode(await new Response(stream).arrayBuffer()), bytes };
+    } catch (error) {
+      console.warn(`gzip解压失败，按文本处理: ${url}`, error);
+      return { ...CharsetDecoder.decode(buffer, contentType), bytes };
+    }
+  }
+  
+  /**
+   * 在最小化的渲染窗口中渲染页面
+   * 对于 Docusaurus、VitePress、Angular 等由JavaScript生成正文的站点，直接 fetch
+   * 只能得到空壳HTML。这里在渲染窗口中打开一个标签页，等页面加载并稳定后
+   * 取回渲染后的DOM，然后关闭标签页；用户正在使用的窗口中不会出现这些标签页
+   * @param {string} url - 页面地址
+   * @param {Object} options - {waitSelector, idleTime, maxWait}
+   */
+  async renderPage(url, options = {}, sourceTabId) {
+    const waitSelector = options.waitSelector || '';
+    const idleTime = options.idleTime || 1000;
+    const maxWait = options.maxWait || 15000;
+    const controller = this.trackRequest(sourceTabId);
+    
+    console.log(`🖥️ 后台渲染页面: ${url}`);
+    const windowId = await this.getRenderWindow(sourceTabId);
+    const tab = await chrome.tabs.create({ windowId, url, active: false });
+    // 取消时立即关闭渲染标签页，正在执行的注入脚本随之结束
+    controller.signal.addEventListener('abort', () => {
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }, { once: true });
+    
+    try {
+      await this.waitForTabComplete(tab.id, 30000, controller.signal);
+      
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: waitForRenderedPage,
+        args: [waitSelector, idleTime, maxWait]
+      });
+      
+      const result = injection && injection.result;
+      if (!result || !result.html) {
+        throw new Error('无法读取渲染后的页面');
+      }
+      
+      if (result.timedOut) {
+        console.warn(`⚠️ 等待页面稳定超时，使用当前DOM: ${url}`);
+      }
+      console.log(`✅ 渲染完成: ${result.url} (${result.html.length} 字符)`);
       
       return {
-        success: false,
-        error: error.message,
-        url: url
+        success: true,
+        html: result.html,
+        url: result.url,
+        encoding: result.encoding,
+        timedOut: result.timedOut
       };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return { success: false, cancelled: true, error: '已取消生成' };
+      }
+      throw error;
+    } finally {
+      this.untrackRequest(sourceTabId, controller);
+      chrome.tabs.remove(tab.id).catch(() => {
+        console.log('关闭渲染标签页失败，标签页可能已关闭');
+      });
     }
   }
   
+  /**
+   * 渲染窗口：同一次导出的渲染请求共用一个最小化、不获取焦点的窗口
+   * 窗口保留一个空白标签页，渲染标签页关闭后窗口不会随之关闭；导出结束或取消时关闭窗口
+   */
+  getRenderWindow(owner) {
+    if (!this.renderWindows.has(owner)) {
+      // 先关闭上一个服务 worker 遗留的渲染窗口，再创建新的
+      const creating = Promise.resolve(this.recovering).then(() => chrome.windows.create({
+        url: 'about:blank',
+        type: 'normal',
+        state: 'minimized',
+        focused: false
+      })).then(created => {
+        this.renderWindowIds[owner] = created.id;
+        this.saveRenderWindowIds();
+        return created.id;
+      });
+      
+      // 创建失败时下次重新创建
+      creating.catch(() => {
+        if (this.renderWindows.get(owner) === creating) {
+          this.renderWindows.delete(owner);
+        }
+      });
+      this.renderWindows.set(owner, creating);
+    }
+    return this.renderWindows.get(owner);
+  }
+  
+  closeRenderWindow(owner) {
+    const creating = this.renderWindows.get(owner);
+    if (!creating) return;
+    
+    this.renderWindows.delete(owner);
+    creating.then(windowId => chrome.windows.remove(windowId)).catch(() => {
+      console.log('关闭渲染窗口失败，窗口可能已关闭');
+    });
+  }
+  
+  /**
+   * 渲染窗口关闭后（导出结束、取消或被用户关闭）不再复用，也不再记录
+   */
+  forgetRenderWindow(windowId) {
+    const owners = Object.keys(this.renderWindowIds).filter(owner => this.renderWindowIds[owner] === windowId);
+    if (owners.length > 0) {
+      owners.forEach(owner => delete this.renderWindowIds[owner]);
+      this.saveRenderWindowIds();
+    }
+    
+    for (const [owner, creating] of this.renderWindows) {
+      creating.then(id => {
+        if (id === windowId && this.renderWindows.get(owner) === creating) {
+          this.renderWindows.delete(owner);
+        }
+      }).catch(() => {});
+    }
+  }
+  
+  saveRenderWindowIds() {
+    return chrome.storage.session.set({ renderWindows: this.renderWindowIds }).catch(error => {
+      console.warn('保存渲染窗口记录失败:', error);
+    });
+  }
+  
+  /**
+   * 服务 worker 重启后内存中的渲染窗口记录丢失：关闭上次记录的渲染窗口，避免遗留最小化窗口
+   * 窗口中进行中的渲染请求已随旧的服务 worker 结束
+   */
+  async closeStaleRenderWindows() {
+    const { renderWindows } = await chrome.storage.session.get('renderWindows');
+    for (const windowId of Object.values(renderWindows || {})) {
+      console.log(`🧹 关闭遗留的渲染窗口: ${windowId}`);
+      await chrome.windows.remove(windowId).catch(() => {
+        // 窗口已被关闭
+      });
+    }
+    await this.saveRenderWindowIds();
+  }
+  
+  /**
+   * 等待标签页加载完成（load 事件），signal 中止时立即放弃
+   */
+  waitForTabComplete(tabId, timeout, signal = null) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(new Error('页面加载超时'));
+      }, timeout);
+      
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          resolve();
+        }
+      };
+      
+      chrome.tabs.onUpdated.addListener(listener);
+      
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          reject(new Error('已取消生成'));
+        }, { once: true });
+      }
+      
+      // 标签页可能在注册监听前已经加载完成
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab.status === 'complete') listener(tabId, { status: 'complete' });
+      }).catch(error => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(error);
+      });
+    });
+  }
+  
   /**
    * 生成唯一任务ID
    */
@@ -393,7 +1182,8 @@ class PDFGeneratorBackground {
     const maxAge = 30 * 60 * 1000; // 30分钟
     
     for (const [taskId, task] of this.activeGenerations) {
-      if (now - task.startTime > maxAge) {
+      // 进行中的任务可能持续很久，只清理已结束的任务
+      if (task.finishedAt && now - task.finishedAt > maxAge) {
         console.log('清理过期任务:', taskId);
         this.activeGenerations.delete(taskId);
       }
@@ -401,6 +1191,55 @@ class PDFGeneratorBackground {
   }
 }
 
+/**
+ * 注入到渲染标签页中执行，等待页面内容稳定后返回DOM
+ * - 指定了 waitSelector 时，等到该元素出现
+ * - 否则等到DOM和网络请求都安静 idleTime 毫秒（近似 network idle）
+ * 注意：此函数会被序列化后注入页面，不能引用外部变量
+ */
+function waitForRenderedPage(waitSelector, idleTime, maxWait) {
+  return new Promise(resolve => {
+    const start = Date.now();
+    let lastChange = Date.now();
+    let resourceCount = performance.getEntriesByType('resource').length;
+    
+    const observer = new MutationObserver(() => {
+      lastChange = Date.now();
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    
+    const hasSelector = () => {
+      try {
+        return !!document.querySelector(waitSelector);
+      } catch (e) {
+        return false;
+      }
+    };
+    
+    const timer = setInterval(() => {
+      const currentResources = performance.getEntriesByType('resource').length;
+      if (currentResources !== resourceCount) {
+        resourceCount = currentResources;
+        lastChange = Date.now();
+      }
+      
+      const ready = waitSelector ? hasSelector() : Date.now() - lastChange >= idleTime;
+      const timedOut = Date.now() - start >= maxWait;
+      
+      if (ready || timedOut) {
+        clearInterval(timer);
+        observer.disconnect();
+        resolve({
+          html: document.documentElement.outerHTML,
+          url: location.href,
+          encoding: document.characterSet,
+          timedOut: !ready
+        });
+      }
+    }, 100);
+  });
+}
+
 // 初始化后台服务
 const pdfGeneratorBackground = new PDFGeneratorBackground();
 
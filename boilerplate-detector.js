@@ -0,0 +1,201 @@
+/**
+ * HTML转PDF电子书生成器 - 跨页面重复内容检测
+ *
+ * 文档站点的每个页面往往带有相同的“编辑此页”链接、上一页/下一页导航、反馈组件、Cookie 提示和页脚，
+ * cleanupContent 的固定选择器只能覆盖其中一部分。抓取完成后比较所有页面的正文：
+ * 1. 文本指纹：块级元素的规范化文本（忽略大小写和空白；位于正文开头或结尾的块还忽略数字，如页脚的日期）
+ * 2. 结构指纹：以链接或表单控件为主的组件的标签、类名和子元素结构
+ *    （上一页/下一页导航的文字随页面变化，结构不变）
+ * 含代码块、图片、表格或标题的块属于正文，不计算指纹（例如各页面相同的安装命令、带复制按钮的代码块）
+ * 出现在大多数页面中、且位于正文开头或结尾的块视为重复内容，从每个页面中移除，并返回移除摘要供核对；
+ * 正文中间重复出现的提示框、步骤说明等保留
+ */
+
+class BoilerplateDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0.6; // 至少出现在该比例的页面中
+    this.minPages = options.minPages || 3;     // 页面太少时无法区分正文和重复内容
+    this.minTextLength = 8;
+    this.maxTextLength = 1000;                 // 更长的块通常是正文
+
+    this.blockTags = new Set([
+      'div', 'section', 'aside', 'nav', 'header', 'footer', 'form', 'p', 'ul', 'ol', 'dl', 'table', 'blockquote', 'details'
+    ]);
+    this.widgetTags = new Set(['nav', 'aside', 'header', 'footer', 'form']);
+    this.contentSelector = 'pre, code, img, table, h1, h2, h3, h4, h5, h6';
+    // 单独成行的链接（如“编辑此页”）也可能重复，段落中的链接不算
+    this.containerTags = new Set(['body', 'div', 'section', 'article', 'main', 'aside', 'nav', 'header', 'footer']);
+  }
+
+  /**
+   * 检测并移除各页面中的重复内容
+   * @param {Array<string>} htmlList - 各页面的正文 HTML
+   * @returns {Object} {pages: [{html, textLength, removed}], blocks: [{kind, tag, sample, pages}]}
+   *   pages 与输入一一对应；blocks 为移除的重复内容，pages 为移除了该内容的页面数
+   */
+  process(htmlList) {
+    const unchanged = htmlList.map(html => ({ html, textLength: null, removed: 0 }));
+    if (htmlList.length < this.minPages) {
+      return { pages: unchanged, blocks: [] };
+    }
+
+    const parser = new DOMParser();
+    const docs = htmlList.map(html => parser.parseFromString(html, 'text/html'));
+    const pageBlocks = docs.map(doc => this.getBlocks(doc.body));
+
+    // 统计每个指纹出现在多少个页面中
+    const stats = new Map();
+    pageBlocks.forEach((blocks, index) => {
+      blocks.forEach(({ key, kind, element }) => {
+        if (!stats.has(key)) {
+          stats.set(key, { kind, tag: element.tagName.toLowerCase(), sample: this.getSample(element), pages: new Set() });
+        }
+        stats.get(key).pages.add(index);
+      });
+    });
+
+    const minCount = Math.max(this.minPages, Math.ceil(htmlList.length * this.threshold));
+    const repeated = new Set(Array.from(stats.keys()).filter(key => stats.get(key).pages.size >= minCount));
+    if (repeated.size === 0) {
+      return { pages: unchanged, blocks: [] };
+    }
+
+    const removedPages = new Map();
+    const pages = docs.map((doc, index) => {
+      const totalLength = doc.body.textContent.trim().length;
+      let removed = 0;
+
+      const remove = ({ key, element }) => {
+        // 已随外层的重复块一起移除
+        if (!element.isConnected) return false;
+        // 不移除占页面大部分内容的块，避免把短页面整页删空
+        if (element.textContent.trim().length > totalLength * 0.5) return false;
+        if (!this.isAtEdge(element, doc.body)) return false;
+
+        element.remove();
+        removed++;
+        removedPages.set(key, (removedPages.get(key) || 0) + 1);
+        return true;
+      };
+
+      // 页脚被移除后，紧挨着的上一页/下一页导航、“编辑此页”链接依次成为正文结尾，
+      // 因此按正序和倒序反复检查，直到没有可以移除的块
+      let pending = pageBlocks[index].filter(block => repeated.has(block.key));
+      let changed = true;
+      while (changed && pending.length > 0) {
+        changed = false;
+        for (const block of [...pending, ...pending.slice().reverse()]) {
+          if (remove(block)) changed = true;
+        }
+        pending = pending.filter(block => block.element.isConnected);
+      }
+
+      if (removed === 0) return unchanged[index];
+      return { html: doc.body.innerHTML, textLength: doc.body.textContent.trim().length, removed };
+    });
+
+    const blocks = Array.from(removedPages.entries())
+      .map(([key, count]) => ({ kind: stats.get(key).kind, tag: stats.get(key).tag, sample: stats.get(key).sample, pages: count }))
+      .sort((a, b) => b.pages - a.pages);
+
+    return { pages, blocks };
+  }
+
+  /**
+   * 按文档顺序列出块级元素的指纹，外层元素在前
+   * 同一元素可能同时有文本指纹和结构指纹
+   */
+  getBlocks(root) {
+    const blocks = [];
+
+    root.querySelectorAll('*').forEach(element => {
+      if (!this.blockTags.has(element.tagName.toLowerCase()) && !this.isStandaloneLink(element)) return;
+      if (this.isContent(element)) return;
+
+      const length = element.textContent.trim().length;
+      if (length > this.maxTextLength) return;
+
+      const text = this.normalizeText(element.textContent, length >= this.minTextLength && this.isAtEdge(element, root));
+      if (text.length >= this.minTextLength) {
+        blocks.push({ key: `text:${text}`, kind: 'text', element });
+      }
+      if (this.isWidget(element)) {
+        blocks.push({ key: `structure:${this.getStructure(element, 2)}`, kind: 'structure', element });
+      }
+    });
+
+    return blocks;
+  }
+
+  isStandaloneLink(element) {
+    return element.tagName === 'A' && this.containerTags.has(element.parentElement.tagName.toLowerCase());
+  }
+
+  /**
+   * 页脚、页眉中的日期、版本号、页码等数字在各页面间不同，统一替换；
+   * 其余位置保留数字，避免“步骤 1”“步骤 2”这类段落被当成同一内容
+   */
+  normalizeText(text, ignoreDigits) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return ignoreDigits ? normalized.replace(/\d+/g, '0') : normalized;
+  }
+
+  /**
+   * 代码块、图片、表格和标题，或包含它们的块（如 div.highlight）
+   */
+  isContent(element) {
+    return element.matches(this.contentSelector) || !!element.querySelector(this.contentSelector);
+  }
+
+  /**
+   * 只比较带有类名、id 或语义标签，且以链接或表单控件为主的组件；
+   * 正文中的普通段落和列表结构相同的情况很常见，不按结构比较
+   */
+  isWidget(element) {
+    const tag = element.tagName.toLowerCase();
+    const hasIdentity = element.classList.length > 0 || element.id || element.hasAttribute('role') || this.widgetTags.has(tag);
+    if (!hasIdentity) return false;
+
+    if (tag === 'form' || element.querySelector('input, select, textarea')) return true;
+
+    // 链接和按钮的文字占大部分
+    const controls = Array.from(element.querySelectorAll('a, button'));
+    if (controls.length === 0) return false;
+
+    const textLength = element.textContent.trim().length;
+    const controlLength = controls.reduce((sum, control) => sum + control.textContent.trim().length, 0);
+    return textLength === 0 || controlLength / textLength >= 0.5;
+  }
+
+  /**
+   * 元素位于正文开头或结尾：逐层向上，前面（或后面）的兄弟节点都没有文字
+   */
+  isAtEdge(element, root) {
+    return ['previousSibling', 'nextSibling'].some(direction => {
+      for (let node = element; node && node !== root; node = node.parentNode) {
+        for (let sibling = node[direction]; sibling; sibling = sibling[direction]) {
+          const hasContent = sibling.nodeType === Node.ELEMENT_NODE || sibling.nodeType === Node.TEXT_NODE;
+          if (hasContent && sibling.textContent.trim()) return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  getStructure(element, depth) {
+    const classes = Array.from(element.classList).sort().join('.');
+    const self = element.tagName.toLowerCase() + (classes ? `.${classes}` : '');
+    if (depth === 0 || element.children.length === 0) return self;
+
+    return `${self}(${Array.from(element.children).map(child => this.getStructure(child, depth - 1)).join(',')})`;
+  }
+
+  /**
+   * 摘要中显示的内容片段
+   */
+  getSample(element) {
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) return `<${this.getStructure(element, 0)}>`;
+    return text.length > 80 ? text.slice(0, 80) + '…' : text;
+  }
+}
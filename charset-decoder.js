@@ -0,0 +1,130 @@
+/**
+ * HTML转PDF电子书生成器 - 字符编码识别与解码
+ *
+ * response.text() 总是按 UTF-8 解码，GBK、GB2312、Shift_JIS 等编码的老文档会变成乱码。
+ * 这里从原始字节解码，编码按以下顺序确定：
+ * 1. Content-Type 响应头中的 charset
+ * 2. 文档开头的 <meta charset> / <meta http-equiv="Content-Type"> / <?xml encoding?>
+ * 3. 字节顺序标记（BOM）
+ * 4. 按字节内容猜测（合法的 UTF-8 优先，再尝试常见的中日韩编码）
+ *
+ * 内容脚本和后台服务共用
+ */
+
+class CharsetDecoder {
+  /**
+   * 解码响应字节
+   * @param {ArrayBuffer|Uint8Array} data - 原始字节
+   * @param {string} contentType - Content-Type 响应头
+   * @returns {Object} {text, encoding, source}，source 为 header / meta / bom / sniff
+   */
+  static decode(data, contentType = '') {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    const candidates = [
+      { label: CharsetDecoder.charsetFromContentType(contentType), source: 'header' },
+      { label: CharsetDecoder.charsetFromMarkup(bytes), source: 'meta' },
+      { label: CharsetDecoder.charsetFromBOM(bytes), source: 'bom' }
+    ];
+
+    for (const candidate of candidates) {
+      const decoder = CharsetDecoder.createDecoder(candidate.label);
+      if (decoder) {
+        return { text: decoder.decode(bytes), encoding: decoder.encoding, source: candidate.source };
+      }
+    }
+
+    const encoding = CharsetDecoder.sniff(bytes);
+    return { text: new TextDecoder(encoding).decode(bytes), encoding, source: 'sniff' };
+  }
+
+  /**
+   * 创建解码器，浏览器不支持的编码名返回 null
+   */
+  static createDecoder(label) {
+    if (!label) return null;
+
+    try {
+      return new TextDecoder(label);
+    } catch (e) {
+      console.warn(`⚠️ 不支持的字符编码: ${label}`);
+      return null;
+    }
+  }
+
+  static charsetFromContentType(contentType) {
+    const match = String(contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 在文档开头查找编码声明
+   * 声明本身只含 ASCII 字符，先按单字节编码读取开头部分即可
+   */
+  static charsetFromMarkup(bytes) {
+    const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 4096));
+
+    const xmlMatch = head.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (xmlMatch) return xmlMatch[1];
+
+    const metaMatch = head.match(/<meta[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i);
+    if (!metaMatch) return null;
+
+    // 能被当作 ASCII 读出的声明不可能是真正的 UTF-16，按 HTML 规范视为 UTF-8
+    return /^utf-16/i.test(metaMatch[1]) ? 'utf-8' : metaMatch[1];
+  }
+
+  static charsetFromBOM(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    return null;
+  }
+
+  /**
+   * 没有任何声明时按内容猜测
+   * GBK 几乎能“成功”解码任意字节，所以日文编码先看解码结果中假名的比例
+   */
+  static sniff(bytes) {
+    if (CharsetDecoder.decodesCleanly(bytes, 'utf-8')) return 'utf-8';
+
+    for (const encoding of ['shift_jis', 'euc-jp']) {
+      const text = CharsetDecoder.decodesCleanly(bytes, encoding);
+      if (text && CharsetDecoder.kanaRatio(text) > 0.1) return encoding;
+    }
+
+    for (const encoding of ['gb18030', 'big5', 'euc-kr']) {
+      if (CharsetDecoder.decodesCleanly(bytes, encoding)) return encoding;
+    }
+
+    return 'windows-1252';
+  }
+
+  /**
+   * 严格解码，遇到非法字节返回 null
+   */
+  static decodesCleanly(bytes, encoding) {
+    try {
+      return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 非 ASCII 字符中平假名、片假名所占比例
+   */
+  static kanaRatio(text) {
+    let nonAscii = 0;
+    let kana = 0;
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code < 0x80) continue;
+      nonAscii++;
+      if (code >= 0x3040 && code <= 0x30FF) kana++;
+    }
+
+    return nonAscii ? kana / nonAscii : 0;
+  }
+}
@@ -0,0 +1,955 @@
+/**
+ * HTML转PDF电子书生成器 - 正文提取
+ *
+ * 当前页面（实时DOM）、fetch 抓取的页面和渲染模式取回的页面都经过这里提取正文，
+ * 同一站点无论从哪个页面开始导出，结果都一致：
+ * 1. 定位正文：用户的站点规则优先，其次是站点框架适配器，都识别失败时由 ContentScorer 评分
+ * 2. 克隆正文，按站点规则删除开始/结束标记以外的内容，修复相对地址，移除样板元素，修复代码块行号和标题中的 # 号
+ * 3. 提取标题、样式和页面元数据
+ *
+ * 结果格式：{html, title, styles, metadata, textLength, confidence, selector, warnings}
+ * 链接、下一页、登录页识别等抓取相关的信息由调用方补充
+ */
+
+class ContentExtractor {
+  /**
+   * @param {SiteAdapterRegistry} adapters - 站点框架适配器（与导航发现共用）
+   */
+  constructor(adapters = new SiteAdapterRegistry()) {
+    this.adapters = adapters;
+    this.scorer = new ContentScorer();
+  }
+
+  /**
+   * 提取文档正文
+   * @param {Document} doc - 实时文档或 DOMParser 解析出的文档
+   * @param {Object} options - {url: 页面地址（解析相对地址）, live: 是否为实时文档（可以读取 CSSOM）,
+   *   rule: 页面所在站点的提取规则（见 SiteRules）}
+   * @returns {Object} {html, title, styles, metadata, textLength, confidence, selector, warnings}
+   */
+  extract(doc, options = {}) {
+    const url = options.url || doc.URL;
+    const rule = options.rule || null;
+    const adapter = this.adapters.detect(doc);
+    const { element, selector, confidence, warnings } = this.findMainContent(doc, adapter, rule);
+
+    // 克隆后再修改，不影响实时页面
+    const cloned = element.cloneNode(true);
+    if (rule) {
+      this.applyStripMarkers(cloned, rule, warnings);
+    }
+    this.fixRelativeURLs(cloned, url);
+    this.cleanupContent(cloned, adapter, rule);
+
+    // 清理标题中的多余符号
+    this.cleanupTitles(cloned);
+
+    return {
+      html: cloned.outerHTML,
+      title: this.extractTitle(doc, url, rule),
+      styles: options.live ? this.extractStylesFromDocument(doc) : this.extractStylesFromParsedDocument(doc, url),
+      metadata: this.extractMetadata(doc, url, adapter),
+      textLength: cloned.textContent.trim().length,
+      confidence: confidence,
+      selector: selector,
+      warnings: warnings
+    };
+  }
+
+  /**
+   * 页面标题：站点规则的标题选择器优先，其次是 <title>，都没有时从URL推断
+   */
+  extractTitle(doc, url, rule) {
+    const titleElement = rule && rule.titleSelector ? this.querySelectorSafe(doc, rule.titleSelector) : null;
+    const ruleTitle = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    return this.cleanTitle(ruleTitle || doc.title || this.extractTitleFromURL(url));
+  }
+
+  /**
+   * 页面元数据：<meta>、OpenGraph（og:*、article:*）和 JSON-LD 中的 Article / TechArticle
+   * 同一字段有多个来源时，JSON-LD 优先，其次是普通 <meta>，最后是 OpenGraph
+   * @returns {Object} {canonicalUrl, lang, title, description, author, published, modified, keywords,
+   *   siteName, image, openGraph, jsonLd, framework}，日期保留页面中的原始格式
+   */
+  extractMetadata(doc, url, adapter) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const element = doc.querySelector(`meta[name="${name}" i][content], meta[property="${name}" i][content], meta[itemprop="${name}"][content]`);
+        const value = element ? element.getAttribute('content').trim() : '';
+        if (value) return value;
+      }
+      return '';
+    };
+
+    const openGraph = this.extractOpenGraph(doc);
+    const jsonLd = this.extractJsonLdArticle(doc);
+    const ld = jsonLd || {};
+
+    // article:author 通常是作者主页地址，不能当作作者名
+    const ogAuthor = meta('article:author');
+    const metaKeywords = [
+      ...this.splitKeywords(meta('keywords')),
+      ...Array.from(doc.querySelectorAll('meta[property="article:tag"][content]')).map(tag => tag.getAttribute('content').trim())
+    ].filter(Boolean);
+    const keywords = ld.keywords && ld.keywords.length > 0 ? ld.keywords : metaKeywords;
+
+    const lang = doc.documentElement.getAttribute('lang') || meta('content-language') || (openGraph.locale || '').replace('_', '-');
+
+    return {
+      canonicalUrl: this.extractCanonicalUrl(doc, url),
+      lang: lang,
+      title: ld.headline || openGraph.title || '',
+      description: meta('description') || ld.description || openGraph.description || '',
+      author: ld.author || meta('author', 'dc.creator') || (/^https?:/i.test(ogAuthor) ? '' : ogAuthor),
+      published: ld.datePublished || meta('article:published_time', 'datePublished', 'dc.date', 'date'),
+      modified: ld.dateModified || meta('article:modified_time', 'og:updated_time', 'dateModified', 'last-modified'),
+      keywords: Array.from(new Set(keywords)),
+      siteName: openGraph.site_name || '',
+      image: openGraph.image ? this.resolveUrl(openGraph.image, url) : '',
+      openGraph: openGraph,
+      jsonLd: jsonLd,
+      framework: adapter === this.adapters.generic ? '' : adapter.name
+    };
+  }
+
+  /**
+   * 所有 og:* 属性，键名去掉 og: 前缀；重复的属性（如多张 og:image）只取第一个
+   */
+  extractOpenGraph(doc) {
+    const openGraph = {};
+    doc.querySelectorAll('meta[property^="og:"][content]').forEach(element => {
+      const key = element.getAttribute('property').slice(3);
+      if (key && !(key in openGraph)) {
+        openGraph[key] = element.getAttribute('content').trim();
+      }
+    });
+    return openGraph;
+  }
+
+  /**
+   * 读取 JSON-LD 中第一个文章类型的对象（支持数组和 @graph）
+   * @returns {Object|null} {type, headline, description, author, datePublished, dateModified, keywords}
+   */
+  extractJsonLdArticle(doc) {
+    const articleTypes = ['Article', 'TechArticle', 'BlogPosting', 'NewsArticle'];
+    const items = [];
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const queue = Array.isArray(data) ? [...data] : [data];
+        while (queue.length > 0) {
+          const item = queue.shift();
+          if (!item || typeof item !== 'object') continue;
+          if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+          items.push(item);
+        }
+      } catch (e) {
+        console.warn('⚠️ 无法解析 JSON-LD:', e.message);
+      }
+    });
+
+    const article = items.find(item => [].concat(item['@type'] || []).some(type => articleTypes.includes(type)));
+    if (!article) return null;
+
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const names = [].concat(article.author || [])
+      .map(author => (typeof author === 'string' ? author : text(author && author.name)))
+      .filter(Boolean);
+
+    return {
+      type: [].concat(article['@type']).find(type => articleTypes.includes(type)),
+      headline: text(article.headline) || text(article.name),
+      description: text(article.description),
+      author: names.join(', '),
+      datePublished: text(article.datePublished),
+      dateModified: text(article.dateModified),
+      keywords: Array.isArray(article.keywords) ? article.keywords.map(text).filter(Boolean) : this.splitKeywords(text(article.keywords))
+    };
+  }
+
+  splitKeywords(value) {
+    return value ? value.split(/[,，]/).map(keyword => keyword.trim()).filter(Boolean) : [];
+  }
+
+  resolveUrl(href, baseUrl) {
+    try {
+      return new URL(href, baseUrl).href;
+    } catch (e) {
+      return href;
+    }
+  }
+
+  /**
+   * 定位正文根节点
+   * 站点规则的正文选择器优先，其次由站点框架适配器定位，都识别失败时由 ContentScorer 按段落得分、链接密度和类名提示评分
+   * @returns {Object} {element, selector, confidence, warnings}，selector 为命中的选择器或评分选中的元素（写入抓取报告）
+   */
+  findMainContent(doc, adapter, rule = null) {
+    const warnings = [];
+
+    if (rule && rule.contentSelector) {
+      const element = this.querySelectorSafe(doc, rule.contentSelector);
+      if (element) {
+        return { element, selector: `${rule.contentSelector}（站点规则）`, confidence: 1, warnings };
+      }
+      console.warn(`⚠️ 站点规则的正文选择器未匹配: ${rule.contentSelector}`);
+      warnings.push(`站点规则的正文选择器未匹配: ${rule.contentSelector}`);
+    }
+
+    const adapterMatch = adapter.matchContentRoot(doc);
+    if (adapterMatch) {
+      return {
+        element: adapterMatch.element,
+        selector: `${adapterMatch.selector}（${adapter.name}）`,
+        confidence: 1,
+        warnings
+      };
+    }
+
+    const result = this.scorer.score(doc);
+    if (!result) {
+      console.warn('未找到主内容区域，使用body');
+      warnings.push('未找到主内容区域，使用body');
+      return { element: doc.body, selector: 'body', confidence: 0, warnings };
+    }
+
+    const description = result.merged > 0
+      ? `${this.scorer.describe(result.root)}（评分 ${result.score.toFixed(1)}，合并 ${result.merged} 个相邻元素）`
+      : `${this.scorer.describe(result.root)}（评分 ${result.score.toFixed(1)}）`;
+    if (result.lowConfidence) {
+      console.warn(`⚠️ 正文识别置信度低 (${result.confidence}): ${description}`);
+      warnings.push(`正文识别置信度低 (${result.confidence})，可能混入导航或遗漏内容`);
+    }
+
+    return { element: result.element, selector: description, confidence: result.confidence, warnings };
+  }
+
+  /**
+   * 站点规则中的选择器由用户填写，无效时当作未匹配
+   */
+  querySelectorSafe(root, selector) {
+    try {
+      return root.querySelector(selector);
+    } catch (error) {
+      console.warn(`⚠️ 无效的选择器: ${selector}`);
+      return null;
+    }
+  }
+
+  /**
+   * 按站点规则删除开始标记之前、结束标记及之后的内容
+   */
+  applyStripMarkers(root, rule, warnings) {
+    if (rule.stripBefore) {
+      const marker = this.findMarker(root, rule.stripBefore);
+      if (marker) {
+        for (let node = marker; node !== root; node = node.parentNode) {
+          while (node.previousSibling) node.previousSibling.remove();
+        }
+      } else {
+        warnings.push(`未找到开始标记: ${rule.stripBefore}`);
+      }
+    }
+
+    if (rule.stripAfter) {
+      const marker = this.findMarker(root, rule.stripAfter);
+      if (marker) {
+        for (let node = marker; node !== root; node = node.parentNode) {
+          while (node.nextSibling) node.nextSibling.remove();
+        }
+        marker.remove();
+      } else {
+        warnings.push(`未找到结束标记: ${rule.stripAfter}`);
+      }
+    }
+  }
+
+  /**
+   * 标记可以是 CSS 选择器或一段文字，文字标记返回包含它的元素
+   */
+  findMarker(root, marker) {
+    try {
+      const element = root.querySelector(marker);
+      if (element) return element;
+    } catch (e) {
+      // 不是有效的选择器，按文字查找
+    }
+
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.textContent.includes(marker)) {
+        return node.parentElement && node.parentElement !== root ? node.parentElement : node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 读取页面声明的规范地址 <link rel="canonical">
+   */
+  extractCanonicalUrl(doc, baseUrl) {
+    const link = doc.querySelector('link[rel~="canonical"][href]');
+    if (!link) return null;
+
+    try {
+      return new URL(link.getAttribute('href'), baseUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 修复相对URL为绝对URL
+   * @param {Document|Element} root - 只修改其中的图片和链接（当前页面传入克隆的正文，不改动页面本身）
+   */
+  fixRelativeURLs(root, baseUrl) {
+    try {
+      const base = new URL(baseUrl);
+
+      // 修复图片src
+      const images = root.querySelectorAll('img[src]');
+      images.forEach(img => {
+        const src = img.getAttribute('src');
+        if (src && !src.startsWith('http')) {
+          try {
+            img.src = new URL(src, base).href;
+          } catch (e) {
+            console.warn('无法修复图片URL:', src);
+          }
+        }
+      });
+
+      // 修复链接href
+      const links = root.querySelectorAll('a[href]');
+      links.forEach(link => {
+        const href = link.getAttribute('href');
+        if (href && !href.startsWith('http') && !href.startsWith('#')) {
+          try {
+            link.href = new URL(href, base).href;
+          } catch (e) {
+            console.warn('无法修复链接URL:', href);
+          }
+        }
+      });
+
+      // 修复CSS背景图片等（如果需要的话）
+
+    } catch (error) {
+      console.warn('URL修复失败:', error);
+    }
+  }
+
+  /**
+   * 移除广告、弹窗、编辑链接等与正文无关的元素，修复代码块行号，删除空元素
+   * @param {Object} rule - 站点规则，其中的 excludeSelectors 一并移除
+   */
+  cleanupContent(element, adapter = null, rule = null) {
+    // 更精确的清理 - 只移除明确不需要的元素
+    const unwantedSelectors = [
+      'script',
+      'style',
+      '.ads',
+      '.advertisement',
+      '.social-share',
+      '.comments',
+      '.popup',
+      '.modal',
+      '.overlay',
+      '.sidebar-toggle',  // 移动端侧边栏开关
+      '.search-box',      // 搜索框
+      '.edit-page',       // 编辑页面链接
+      // 站点框架自带的样板元素（翻页导航、标题锚点等）
+      ...(adapter ? adapter.removeSelectors : []),
+      // 用户为站点指定的排除元素
+      ...(rule ? rule.excludeSelectors : [])
+    ];
+
+    // 不要移除 nav 和 .sidebar，因为它们可能包含重要的文档结构
+    // 只移除明确的广告和不相关元素
+
+    unwantedSelectors.forEach(selector => {
+      try {
+        const elements = element.querySelectorAll(selector);
+        elements.forEach(el => el.remove());
+      } catch (error) {
+        console.warn(`⚠️ 无效的选择器: ${selector}`);
+      }
+    });
+
+    // 处理代码块行号问题
+    this.fixCodeLineNumbers(element);
+
+    // 移除空的元素（但保留有意义的空白）
+    const emptyElements = element.querySelectorAll('*');
+    emptyElements.forEach(el => {
+      if (el.children.length === 0 &&
+          el.textContent.trim() === '' &&
+          !['img', 'br', 'hr', 'input'].includes(el.tagName.toLowerCase())) {
+        el.remove();
+      }
+    });
+  }
+
+  /**
+   * 修复代码块的行号显示问题 - 完全重构版本
+   */
+  fixCodeLineNumbers(element) {
+    try {
+      console.log('🔧 开始修复代码行号 - 完全重构版本...');
+
+      // 1. 首先移除所有可能的行号元素
+      this.removeAllLineNumbers(element);
+
+      // 2. 然后重新处理所有代码块
+      this.addSimpleLineNumbers(element);
+
+      console.log('✅ 代码行号修复完成');
+
+    } catch (error) {
+      console.error('❌ 修复代码行号失败:', error);
+    }
+  }
+
+  /**
+   * 移除所有可能的行号相关元素
+   */
+  removeAllLineNumbers(element) {
+    console.log('🧹 清理所有行号元素...');
+
+    // 移除常见的行号相关类和元素
+    const lineNumberSelectors = [
+      '.line-number',
+      '.line-numbers',
+      '.lineno',
+      '.linenos',
+      '.ln',
+      '.gutter',
+      '.line-numbers-rows',
+      '.hljs-ln-numbers',
+      '.hljs-ln-line',
+      '.rouge-gutter',
+      '.highlight .gutter',
+      '.codehilite .gutter'
+    ];
+
+    lineNumberSelectors.forEach(selector => {
+      const elements = element.querySelectorAll(selector);
+      elements.forEach(el => {
+        console.log(`移除行号元素: ${selector}`);
+        el.remove();
+      });
+    });
+
+    // 移除可能的行号表格结构
+    const tables = element.querySelectorAll('table.highlight, table.codehilitetable');
+    tables.forEach(table => {
+      const code = table.querySelector('pre, code');
+      if (code) {
+        console.log('移除表格结构，保留代码');
+        table.parentNode.insertBefore(code, table);
+        table.remove();
+      }
+    });
+
+    console.log('✅ 清理完成');
+  }
+
+  /**
+   * 添加简单的行号
+   */
+  addSimpleLineNumbers(element) {
+    console.log('📝 添加简单行号...');
+
+    // 查找所有真正的代码块
+    const codeBlocks = this.findAllCodeBlocks(element);
+
+    console.log(`找到 ${codeBlocks.length} 个代码块`);
+
+    codeBlocks.forEach((block, index) => {
+      try {
+        const textContent = this.extractCleanCodeText(block);
+
+        if (!textContent || textContent.trim().length < 10) {
+          console.log(`跳过代码块 ${index + 1}: 内容太短`);
+          return;
+        }
+
+        const lines = textContent.split('\n');
+        if (lines.length < 2) {
+          console.log(`跳过代码块 ${index + 1}: 行数太少`);
+          return;
+        }
+
+        console.log(`处理代码块 ${index + 1}: ${lines.length} 行`);
+
+        // 构建带行号的内容
+        let numberedContent = '';
+        for (let i = 0; i < lines.length; i++) {
+          const line = lines[i];
+
+          // 跳过最后的空行
+          if (i === lines.length - 1 && line.trim() === '') {
+            continue;
+          }
+
+          const lineNum = (i + 1).toString().padStart(3, ' ');
+          numberedContent += lineNum + '  ' + line;
+
+          if (i < lines.length - 1) {
+            numberedContent += '\n';
+          }
+        }
+
+        // 应用到代码块
+        block.textContent = numberedContent;
+        block.classList.add('line-numbers-simple-fixed');
+
+        console.log(`✅ 代码块 ${index + 1} 处理完成`);
+
+      } catch (error) {
+        console.error(`处理代码块 ${index + 1} 失败:`, error);
+      }
+    });
+  }
+
+  /**
+   * 查找所有真正的代码块
+   */
+  findAllCodeBlocks(element) {
+    const blocks = [];
+
+    // 优先查找 pre > code 结构
+    const preWithCode = element.querySelectorAll('pre code');
+    preWithCode.forEach(code => {
+      if (!this.isInsideProcessedBlock(code, blocks)) {
+        blocks.push(code);
+      }
+    });
+
+    // 然后查找单独的 pre 元素
+    const preElements = element.querySelectorAll('pre');
+    preElements.forEach(pre => {
+      // 如果 pre 里没有 code，且不在已处理列表中
+      if (!pre.querySelector('code') && !this.isInsideProcessedBlock(pre, blocks)) {
+        blocks.push(pre);
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * 检查元素是否已经在处理列表中
+   */
+  isInsideProcessedBlock(element, processedBlocks) {
+    return processedBlocks.some(block =>
+      block === element || block.contains(element) || element.contains(block)
+    );
+  }
+
+  /**
+   * 提取干净的代码文本
+   */
+  extractCleanCodeText(element) {
+    let text = element.textContent || '';
+
+    // 移除已有的行号（各种格式）
+    const lines = text.split('\n');
+    const cleanLines = lines.map(line => {
+      // 移除开头的数字和各种分隔符
+      return line.replace(/^\s*\d+[\s\|\.\-\:\t]+/, '');
+    });
+
+    return cleanLines.join('\n');
+  }
+
+  /**
+   * 清理标题中的多余符号
+   */
+  cleanupTitles(element) {
+    try {
+      // 处理所有标题元素
+      const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
+      headings.forEach(heading => {
+        const text = heading.textContent || heading.innerText;
+        if (text) {
+          // 移除开头和结尾的#号和空白字符
+          const cleanText = text.replace(/^#+\s*/, '').replace(/\s*#+\s*$/, '').trim();
+          heading.textContent = cleanText;
+        }
+      });
+
+      // 处理可能的markdown残留
+      const allElements = element.querySelectorAll('*');
+      allElements.forEach(el => {
+        if (el.children.length === 0) { // 只处理叶子节点
+          const text = el.textContent;
+          if (text && text.includes('#')) {
+            // 移除单独出现的#号
+            const cleanText = text.replace(/^#+\s+/, '').replace(/\s+#+\s*$/, '');
+            if (cleanText !== text) {
+              el.textContent = cleanText;
+            }
+          }
+        }
+      });
+
+    } catch (error) {
+      console.warn('清理标题失败:', error);
+    }
+  }
+
+  /**
+   * 清理标题文本
+   */
+  cleanTitle(title) {
+    if (!title) return '未命名页面';
+
+    return title
+      .replace(/^#+\s*/, '')      // 移除开头的#号
+      .replace(/\s*#+\s*$/, '')   // 移除结尾的#号
+      .replace(/\s*#\s*$/, '')    // 移除单个#号
+      .trim();
+  }
+
+  /**
+   * 从URL提取标题
+   */
+  extractTitleFromURL(url) {
+    try {
+      const urlObj = new URL(url);
+      const pathname = urlObj.pathname;
+      const segments = pathname.split('/').filter(s => s.length > 0);
+      const lastSegment = segments[segments.length - 1];
+
+      // 移除文件扩展名并解码
+      const title = decodeURIComponent(lastSegment.replace(/\.[^/.]+$/, ""));
+      return title || '未命名页面';
+    } catch (error) {
+      return '未命名页面';
+    }
+  }
+
+  /**
+   * 从解析的文档中提取样式
+   */
+  extractStylesFromParsedDocument(doc, baseUrl) {
+    let styles = '';
+
+    try {
+      // 基础样式，特别关注代码块
+      styles += `
+        /* 基础样式重置和文档样式 */
+        * { box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+          line-height: 1.6;
+          margin: 0;
+          padding: 20px;
+        }
+
+        /* 代码块样式优化 */
+        pre {
+          position: relative;
+          background: #f8f8f8;
+          border: 1px solid #e1e4e8;
+          border-radius: 6px;
+          font-size: 85%;
+          line-height: 1.45;
+          overflow: auto;
+          padding: 16px;
+          margin: 1em 0;
+        }
+
+        code {
+          background: rgba(175,184,193,0.2);
+          padding: 0.2em 0.4em;
+          border-radius: 6px;
+          font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, Courier, monospace;
+          font-size: 85%;
+        }
+
+        pre code {
+          background: transparent;
+          border: 0;
+          display: inline;
+          max-width: auto;
+          padding: 0;
+          margin: 0;
+          overflow: visible;
+          line-height: inherit;
+          word-wrap: normal;
+        }
+
+        /* 行号样式 */
+        .highlight pre,
+        .codehilite pre,
+        .highlight-pre {
+          position: relative;
+          counter-reset: line;
+        }
+
+        .highlight pre code .line,
+        .codehilite pre code .line,
+        .highlight-pre code .line {
+          counter-increment: line;
+          position: relative;
+          display: block;
+        }
+
+        .highlight pre code .line:before,
+        .codehilite pre code .line:before,
+        .highlight-pre code .line:before {
+          counter-increment: line;
+          content: counter(line);
+          position: absolute;
+          left: -50px;
+          top: 0;
+          width: 40px;
+          text-align: right;
+          color: #999;
+          border-right: 1px solid #ddd;
+          padding-right: 8px;
+          user-select: none;
+        }
+
+        /* GitHub风格代码块 */
+        .highlight .lineno,
+        .codehilite .lineno,
+        .linenodiv pre {
+          color: #999;
+          border-right: 1px solid #ddd;
+          padding-right: 8px;
+          margin-right: 8px;
+          user-select: none;
+        }
+
+        /* Prism.js样式支持 */
+        .line-numbers .line-numbers-rows {
+          position: absolute;
+          pointer-events: none;
+          top: 0;
+          font-size: 100%;
+          left: -3.8em;
+          width: 3em;
+          letter-spacing: -1px;
+          border-right: 1px solid #999;
+          user-select: none;
+        }
+
+        .line-numbers .line-numbers-rows > span {
+          pointer-events: none;
+          display: block;
+          counter-increment: linenumber;
+        }
+
+        .line-numbers .line-numbers-rows > span:before {
+          content: counter(linenumber);
+          color: #999;
+          display: block;
+          padding-right: 0.8em;
+          text-align: right;
+        }
+
+        /* 纯文本行号样式 - 最简单方法，行号和代码在同一行 */
+        .line-numbers-simple-fixed {
+          font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, Courier, monospace !important;
+          white-space: pre !important;
+          overflow-x: auto;
+          background: #f8f9fa;
+          border: 1px solid #e9ecef;
+          border-radius: 4px;
+          padding: 12px;
+          line-height: 1.4;
+          font-size: 14px;
+          color: #212529;
+        }
+
+        .line-numbers-simple-fixed code {
+          white-space: pre !important;
+          display: block !important;
+          padding: 0 !important;
+          background: transparent !important;
+          font-family: inherit !important;
+          font-size: inherit !important;
+          color: inherit !important;
+          line-height: inherit !important;
+        }
+
+        /* 修复分离的行号 */
+        .has-line-numbers {
+          position: relative;
+          display: flex !important;
+          align-items: stretch;
+        }
+
+        .has-line-numbers .line-numbers-rows,
+        .has-line-numbers .linenodiv {
+          flex-shrink: 0 !important;
+          min-width: 3em !important;
+          text-align: right !important;
+          padding-right: 8px !important;
+          border-right: 1px solid #ddd !important;
+          color: #666 !important;
+          user-select: none !important;
+          background: #f8f9fa !important;
+          margin-right: 8px !important;
+        }
+
+        .has-line-numbers pre,
+        .has-line-numbers code {
+          flex: 1 !important;
+          margin: 0 !important;
+          padding-left: 0 !important;
+          overflow: auto !important;
+        }
+      `;
+
+      // 提取内联样式
+      const styleTags = doc.querySelectorAll('style');
+      styleTags.forEach(style => {
+        const content = style.textContent;
+        if (content && !content.includes('@import')) {
+          styles += content + '\n';
+        }
+      });
+
+      // 提取link标签中的CSS（需要转换为绝对URL）
+      const linkTags = doc.querySelectorAll('link[rel="stylesheet"]');
+      linkTags.forEach(link => {
+        const href = link.href;
+        if (href) {
+          try {
+            const absoluteUrl = new URL(href, baseUrl).href;
+            styles += `@import url("${absoluteUrl}");\n`;
+          } catch (e) {
+            console.warn('无法处理CSS链接:', href);
+          }
+        }
+      });
+
+    } catch (error) {
+      console.warn('样式提取失败:', error);
+    }
+
+    return styles;
+  }
+
+  /**
+   * 提取当前文档的样式
+   */
+  extractStylesFromDocument(doc) {
+    let styles = '';
+
+    try {
+      // 首先添加基础样式重置和文档样式
+      styles += `
+        /* 基础样式重置和文档样式 */
+        * { box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+          line-height: 1.6;
+          margin: 0;
+          padding: 20px;
+        }
+        h1, h2, h3, h4, h5, h6 { margin: 1em 0 0.5em 0; }
+        p { margin: 0.5em 0; }
+        img { max-width: 100%; height: auto; }
+        pre, code {
+          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          background: #f5f5f5;
+          padding: 2px 4px;
+          border-radius: 3px;
+        }
+        pre { padding: 10px; overflow-x: auto; }
+        blockquote {
+          margin: 0 0 0 20px;
+          padding-left: 15px;
+          border-left: 3px solid #ddd;
+          color: #666;
+        }
+        table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        th { background-color: #f2f2f2; font-weight: bold; }
+      `;
+
+      // 提取外部样式表
+      const styleSheets = doc.styleSheets;
+      for (let i = 0; i < styleSheets.length; i++) {
+        try {
+          const sheet = styleSheets[i];
+          // 只处理同域或允许访问的样式表
+          if (sheet.cssRules) {
+            for (let j = 0; j < sheet.cssRules.length; j++) {
+              const rule = sheet.cssRules[j];
+              if (rule.type === CSSRule.STYLE_RULE) {
+                // 过滤掉一些可能影响打印的规则
+                const cssText = rule.cssText;
+                if (!cssText.includes('transform') &&
+                    !cssText.includes('position: fixed') &&
+                    !cssText.includes('position: absolute') &&
+                    !cssText.includes('animation')) {
+                  styles += cssText + '\n';
+                }
+              } else if (rule.type === CSSRule.MEDIA_RULE) {
+                // 处理媒体查询，保留print和all类型
+                if (rule.media.mediaText.includes('print') ||
+                    rule.media.mediaText.includes('all') ||
+                    rule.media.mediaText.includes('screen')) {
+                  styles += rule.cssText + '\n';
+                }
+              }
+            }
+          }
+        } catch (e) {
+          console.warn('无法访问外部样式表:', e);
+          // 尝试通过link标签获取样式表URL
+          const linkTags = doc.querySelectorAll('link[rel="stylesheet"]');
+          linkTags.forEach(link => {
+            const href = link.href;
+            if (href && href.startsWith(window.location.origin)) {
+              styles += `@import url("${href}");\n`;
+            }
+          });
+        }
+      }
+
+      // 提取内联样式
+      const styleTags = doc.querySelectorAll('style');
+      styleTags.forEach(style => {
+        const content = style.textContent;
+        if (content && !content.includes('@import')) {  // 避免重复的@import
+          styles += content + '\n';
+        }
+      });
+
+      // 提取元素的内联样式属性
+      const elementsWithStyle = doc.querySelectorAll('[style]');
+      const inlineStyles = [];
+      elementsWithStyle.forEach((element, index) => {
+        const inlineStyle = element.getAttribute('style');
+        if (inlineStyle) {
+          const className = `inline-style-${index}`;
+          element.classList.add(className);
+          inlineStyles.push(`.${className} { ${inlineStyle} }`);
+        }
+      });
+      styles += inlineStyles.join('\n');
+
+    } catch (error) {
+      console.warn('提取样式失败:', error);
+      // 添加基本的后备样式
+      styles += `
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { color: #333; border-bottom: 2px solid #333; }
+        h2 { color: #666; border-bottom: 1px solid #666; }
+        code { background: #f0f0f0; padding: 2px 4px; }
+        pre { background: #f8f8f8; padding: 10px; border: 1px solid #ddd; }
+      `;
+    }
+
+    return styles;
+  }
+}
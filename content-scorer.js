@@ -0,0 +1,329 @@
+/**
+ * HTML转PDF电子书生成器 - 正文评分
+ *
+ * 参考 Readability 的评分方法定位正文根节点，代替“文本最多的元素”：
+ * 1. 段落打分：每个段落按长度和逗号数得分，分数传给父节点和更上层的祖先（逐层衰减）
+ * 2. 类名/ID 提示：content、article、markdown 等加分，sidebar、footer、comment 等减分
+ * 3. 链接密度：得分乘以 (1 - 链接文本占比)，导航和目录几乎得不到分
+ * 4. 相邻合并：与最佳候选同级、得分接近或本身就是正文段落的元素一并保留
+ *
+ * 返回置信度（0-1），综合正文长度、链接密度和与次优候选的差距，低于阈值时由调用方标记警告
+ */
+
+class ContentScorer {
+  constructor() {
+    // 这些区域中的段落不参与评分（除非同时带有正文提示）
+    this.unlikelyPattern = /-ad-|ad-break|banner|breadcrumb|combx|comment|community|cookie|disqus|footer|gdpr|header|legends|menu|navbar|pager|pagination|popup|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental/i;
+    this.maybeCandidatePattern = /and|article|body|column|content|main|markdown|shadow/i;
+    this.positivePattern = /article|body|content|doc|entry|hentry|main|markdown|page|post|prose|rst-content|story|text/i;
+    this.negativePattern = /-ad-|banner|breadcrumb|combx|comment|com-|contact|foot|masthead|media|meta|nav|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|toc|table-of-contents|tool|widget/i;
+    this.unlikelyRoles = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog', 'search'];
+    this.unlikelyTags = ['NAV', 'ASIDE', 'FOOTER', 'FORM', 'BUTTON', 'SELECT'];
+
+    // 段落以外会让 div 失去“段落”身份的块级子元素
+    this.blockTags = ['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3',
+      'H4', 'H5', 'H6', 'HEADER', 'HR', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL'];
+
+    this.minParagraphLength = 25;
+    this.lowConfidence = 0.5;
+  }
+
+  /**
+   * 为文档评分并选出正文
+   * @param {Document} doc - HTML文档对象
+   * @returns {Object|null} {element, root, score, confidence, merged, lowConfidence}；没有可评分的段落时返回 null
+   *   root 为得分最高的元素；merged 为合并进来的相邻元素数量，大于 0 时 element 是不在文档中的包装 div
+   */
+  score(doc) {
+    const scores = new Map(); // 候选元素 -> 得分
+    const unlikelyCache = new Map();
+
+    for (const paragraph of this.findParagraphs(doc)) {
+      if (this.isUnlikely(paragraph, unlikelyCache)) continue;
+
+      const text = this.getInnerText(paragraph);
+      if (text.length < this.minParagraphLength) continue;
+
+      // 基础分 1，每个逗号 1 分，每 100 个字符 1 分（最多 3 分）
+      const paragraphScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+      // 父节点得全分，祖父节点一半，更上层按层数衰减
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && ancestor !== doc.documentElement && level < 5; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, this.initialScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + paragraphScore / divider);
+        ancestor = ancestor.parentElement;
+      }
+    }
+
+    if (scores.size === 0) return null;
+
+    // 链接文本越多，越可能是导航或目录
+    const candidates = Array.from(scores, ([element, score]) => ({
+      element,
+      score: score * (1 - this.getLinkDensity(element))
+    })).sort((a, b) => b.score - a.score);
+
+    const top = this.promoteCandidate(candidates[0], candidates, scores);
+    const kept = this.mergeSiblings(top, candidates);
+    const element = kept.length > 1 ? this.wrapElements(kept) : top.element;
+    const confidence = this.getConfidence(element, kept, top, candidates);
+
+    return {
+      element: element,
+      root: top.element,
+      score: top.score,
+      confidence: confidence,
+      merged: kept.length - 1,
+      lowConfidence: confidence < this.lowConfidence
+    };
+  }
+
+  /**
+   * 可评分的段落：p、pre、td、blockquote、li、dd，以及没有块级子元素的 div（很多站点用 div 直接放正文）
+   */
+  findParagraphs(doc) {
+    const paragraphs = Array.from(doc.querySelectorAll('p, pre, td, blockquote, li, dd'));
+    for (const div of doc.querySelectorAll('div')) {
+      if (!Array.from(div.children).some(child => this.blockTags.includes(child.tagName))) {
+        paragraphs.push(div);
+      }
+    }
+    return paragraphs;
+  }
+
+  /**
+   * 段落是否位于导航、侧边栏、页脚等区域中
+   */
+  isUnlikely(element, cache) {
+    const visited = [];
+    let result = false;
+
+    for (let node = element; node && node.tagName !== 'BODY'; node = node.parentElement) {
+      if (cache.has(node)) {
+        result = cache.get(node);
+        break;
+      }
+      visited.push(node);
+      if (this.isUnlikelyNode(node)) {
+        result = true;
+        break;
+      }
+    }
+
+    visited.forEach(node => cache.set(node, result));
+    return result;
+  }
+
+  isUnlikelyNode(node) {
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.getAttribute('style') || '')) return true;
+    if (this.unlikelyTags.includes(node.tagName)) return true;
+    if (this.unlikelyRoles.includes(node.getAttribute('role'))) return true;
+
+    const matchString = this.getMatchString(node);
+    return this.unlikelyPattern.test(matchString) && !this.maybeCandidatePattern.test(matchString);
+  }
+
+  /**
+   * 候选元素的初始分：按标签类型，再加上类名/ID 提示
+   */
+  initialScore(element) {
+    let score = 0;
+    switch (element.tagName) {
+      case 'ARTICLE':
+      case 'MAIN':
+        score += 10;
+        break;
+      case 'DIV':
+      case 'SECTION':
+        score += 5;
+        break;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        score += 3;
+        break;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        score -= 3;
+        break;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+        score -= 5;
+        break;
+    }
+    if (element.getAttribute('role') === 'main') score += 10;
+    return score + this.getClassWeight(element);
+  }
+
+  getClassWeight(element) {
+    let weight = 0;
+    for (const value of [element.className, element.id]) {
+      if (typeof value !== 'string' || !value) continue;
+      if (this.negativePattern.test(value)) weight -= 25;
+      if (this.positivePattern.test(value)) weight += 25;
+    }
+    return weight;
+  }
+
+  getMatchString(node) {
+    const className = typeof node.className === 'string' ? node.className : '';
+    return `${className} ${node.id || ''}`;
+  }
+
+  getInnerText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 链接文本占全部文本的比例
+   */
+  getLinkDensity(element) {
+    const textLength = this.getInnerText(element).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    for (const link of element.querySelectorAll('a')) {
+      // 页内锚点（如标题旁的 #）不算导航链接
+      const href = link.getAttribute('href') || '';
+      linkLength += this.getInnerText(link).length * (href.startsWith('#') ? 0.3 : 1);
+    }
+    return Math.min(1, linkLength / textLength);
+  }
+
+  /**
+   * 最佳候选往往只是正文中的一段（如某个 section）
+   * 前五名中至少三个得分接近的候选（含最佳候选）位于同一祖先中时改用该祖先；
+   * 再沿父节点向上查找得分更高的元素，得分跌到三分之一以下时停止
+   */
+  promoteCandidate(top, candidates, scores) {
+    const alternatives = candidates.slice(1, 5).filter(candidate => candidate.score >= top.score * 0.75);
+    if (alternatives.length >= 2) {
+      for (let ancestor = top.element.parentElement; ancestor && ancestor.tagName !== 'BODY'; ancestor = ancestor.parentElement) {
+        const contained = alternatives.filter(candidate => ancestor.contains(candidate.element)).length;
+        if (contained >= 2) {
+          top = { element: ancestor, score: Math.max(top.score, this.getCandidateScore(ancestor, candidates)) };
+          break;
+        }
+      }
+    }
+
+    let parent = top.element.parentElement;
+    while (parent && parent.tagName !== 'BODY' && scores.has(parent)) {
+      const parentScore = this.getCandidateScore(parent, candidates);
+      if (parentScore < top.score / 3) break;
+      if (parentScore > top.score) {
+        top = { element: parent, score: parentScore };
+      }
+      parent = parent.parentElement;
+    }
+
+    // 唯一子元素的包装层没有额外内容，上移可以保留外层的样式类
+    while (top.element.parentElement && top.element.parentElement.tagName !== 'BODY' &&
+           top.element.parentElement.children.length === 1) {
+      top = { element: top.element.parentElement, score: top.score };
+    }
+
+    return top;
+  }
+
+  getCandidateScore(element, candidates) {
+    const candidate = candidates.find(item => item.element === element);
+    return candidate ? candidate.score : 0;
+  }
+
+  /**
+   * 合并同级元素：得分达到阈值的候选，或本身是正文段落（长、链接少）的兄弟节点
+   * @returns {Array<Element>} 按文档顺序保留的元素，包括最佳候选本身
+   */
+  mergeSiblings(top, candidates) {
+    const parent = top.element.parentElement;
+    if (!parent) return [top.element];
+
+    const threshold = Math.max(10, top.score * 0.2);
+    const topClass = typeof top.element.className === 'string' ? top.element.className : '';
+    const kept = [];
+
+    for (const sibling of parent.children) {
+      if (sibling === top.element) {
+        kept.push(sibling);
+        continue;
+      }
+
+      let bonus = 0;
+      if (topClass && sibling.className === topClass) bonus += top.score * 0.2;
+
+      const siblingScore = this.getCandidateScore(sibling, candidates);
+      if (siblingScore > 0 && siblingScore + bonus >= threshold) {
+        kept.push(sibling);
+      } else if (sibling.tagName === 'P' && this.isContentParagraph(sibling)) {
+        kept.push(sibling);
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * 合并后的正文放进一个不在文档中的包装 div（复制节点，不改动原文档）
+   */
+  wrapElements(elements) {
+    const wrapper = elements[0].ownerDocument.createElement('div');
+    wrapper.className = 'merged-content';
+    elements.forEach(element => wrapper.appendChild(element.cloneNode(true)));
+    return wrapper;
+  }
+
+  isContentParagraph(element) {
+    const text = this.getInnerText(element);
+    const linkDensity = this.getLinkDensity(element);
+    if (text.length > 80) return linkDensity < 0.25;
+    return text.length > 0 && linkDensity === 0 && /[.。!！?？](\s|$)/.test(text);
+  }
+
+  /**
+   * 置信度：链接密度和与不相关的次优候选的差距各占一半，再按正文长度缩放（约 500 字符饱和）
+   * 正文很短时无论其他指标如何都不可信
+   */
+  getConfidence(element, kept, top, candidates) {
+    const textLength = this.getInnerText(element).length;
+    const lengthFactor = Math.min(1, Math.sqrt(textLength / 500));
+    const linkFactor = 1 - this.getLinkDensity(element);
+
+    // 与正文有包含关系的候选属于同一块正文，不算竞争者
+    const rival = candidates.find(candidate =>
+      !candidate.element.contains(top.element) &&
+      !kept.some(element => element.contains(candidate.element)));
+    const marginFactor = rival && top.score > 0
+      ? Math.max(0, Math.min(1, (top.score - rival.score) / top.score * 2))
+      : 1;
+
+    return Math.round(lengthFactor * (linkFactor * 0.5 + marginFactor * 0.5) * 100) / 100;
+  }
+
+  /**
+   * 用于报告的元素描述，如 article#main.post-content
+   */
+  describe(element) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    const className = typeof element.className === 'string' ? element.className.trim() : '';
+    if (className) description += '.' + className.split(/\s+/).slice(0, 3).join('.');
+    return description;
+  }
+}
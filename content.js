@@ -23,6 +23,43 @@ class EnhancedPDFGenerator {
     this.imageCounter = 0;
     this.failedImages = []; // 失败的图片列表 {url, error, pageTitle, altText}
     
+    // 抓取范围规则（每次导出时根据弹窗设置重新生成）
+    this.scope = new CrawlScope({}, window.location.href);
+    
+    // 抓取配置与按主机限速的调度器（每次导出时重新读取配置）
+    this.config = new ConfigManager();
+    this.scheduler = this.createScheduler();
+    this.retry = this.createRetryManager();
+    
+    // 站点框架适配器（MkDocs、Docusaurus、VitePress 等）
+    this.adapters = new SiteAdapterRegistry();
+    
+    // 正文提取（当前页面和抓取的页面共用同一套逻辑）
+    this.extractor = new ContentExtractor(this.adapters);
+    
+    // 抓取完成后移除各页面重复出现的内容
+    this.boilerplate = new BoilerplateDetector();
+    this.boilerplateSummary = [];
+    
+    // 生成前的交互式页面选择
+    this.pagePicker = new PagePicker();
+    
+    // 在页面上点选元素，生成站点提取规则
+    this.elementPicker = new ElementPicker();
+    
+    // 下一页串联模式使用的“下一页”链接选择器（每次导出时根据弹窗设置更新）
+    this.nextSelectors = [];
+    
+    // 页面加载方式：fetch（静态HTML）/ auto（内容为空时渲染）/ render（始终渲染JavaScript）
+    this.fetchMode = 'fetch';
+    this.renderWaitSelector = '';
+    
+    // 当前导出的取消控制器，取消时中止所有进行中的请求
+    this.abortController = null;
+    
+    // 本页启动的后台导出任务ID，用于显示任务进度和取消
+    this.taskId = null;
+    
     this.init();
   }
   
@@ -37,21 +74,41 @@ class EnhancedPDFGenerator {
     try {
       switch (request.action) {
         case 'getPageInfo':
+          await this.loadConfig();
+          this.setCrawlScope(request.scope);
           const pageInfo = this.extractPageInfo();
           sendResponse(pageInfo);
           break;
           
         case 'generatePDF':
-          await this.generateCompletePDF(request.options);
-          sendResponse({ success: true });
+          const pdfTaskId = await this.startGenerationTask('pdf', request.options);
+          sendResponse({ success: true, taskId: pdfTaskId });
           break;
           
         case 'generateMarkdown':
-          await this.generateCompleteMarkdown(request.options);
+          const markdownTaskId = await this.startGenerationTask('markdown', request.options);
+          sendResponse({ success: true, taskId: markdownTaskId });
+          break;
+          
+        case 'generationUpdate':
+          this.showTaskUpdate(request.task);
           sendResponse({ success: true });
           break;
 
+        case 'cancelPDFGeneration':
+          this.cancelGeneration();
+          sendResponse({ success: true });
+          break;
+          
+        case 'startElementPicker':
+          // 弹窗随后关闭，先回复再进入选取模式
+          sendResponse({ success: true });
+          await this.pickSiteRule();
+          break;
+          
         case 'previewContent':
+          await this.loadConfig();
+          this.setCrawlScope(request.scope);
           const preview = this.generatePreview();
           sendResponse({ success: true, preview });
           break;
@@ -60,6 +117,10 @@ class EnhancedPDFGenerator {
           sendResponse({ error: '未知操作' });
       }
     } catch (error) {
+      if (error.cancelled) {
+        sendResponse({ success: false, cancelled: true, error: error.message });
+        return;
+      }
       console.error('处理消息失败:', error);
       sendResponse({ error: error.message });
     }
@@ -72,308 +133,1148 @@ class EnhancedPDFGenerator {
     // 分析导航结构，发现所有相关页面
     const navigationLinks = this.discoverAllPages();
     
+    const pageCount = navigationLinks.filter(link => link.url).length;
+    
+    // 弹窗中作者留空时使用页面标注的作者
+    const metadata = this.extractor.extractMetadata(document, url, this.adapters.detect(document));
+    
     return {
       title,
       url,
-      navigationLinks: navigationLinks.length,
-      estimatedPages: navigationLinks.length,
+      author: metadata.author,
+      navigationLinks: pageCount,
+      estimatedPages: pageCount,
       timestamp: Date.now()
     };
   }
   
   /**
-   * 发现所有相关页面
-   * 通过分析导航菜单自动发现整个文档站点的结构
+   * 设置本次导出的抓取范围
+   * @param {Object} rules - {sameOrigin, pathPrefix, include, exclude}
    */
-  discoverAllPages() {
-    console.log('🔍 开始发现文档站点结构...');
-    
-    const links = [];
-    this.baseUrl = new URL(window.location.href).origin;
+  setCrawlScope(rules) {
+    this.scope = new CrawlScope(rules || {}, this.getPageUrl());
+    console.log(`🎯 抓取范围: ${this.scope.describe()}`);
+  }
+  
+  /**
+   * 发现并抓取本次导出的所有页面
+   * 递归爬取和下一页串联模式在抓取过程中发现页面，其余模式先发现页面列表再批量抓取
+   */
+  async collectPageContents(options = {}) {
+    await this.prepareCrawl(options);
+    
+    if (options.discoveryMode === 'crawl' || options.discoveryMode === 'next') {
+      const pageContents = options.discoveryMode === 'crawl'
+        ? await this.crawlSite(options.crawl)
+        : await this.followNextChain(options.next);
+      if (pageContents.length === 0) {
+        throw new Error('未发现任何相关页面，请检查抓取范围设置');
+      }
+      return pageContents;
+    }
     
-    // 查找导航区域
-    const navSelectors = [
-      'nav a[href]',
-      '.sidebar a[href]',
-      '.menu a[href]', 
-      '.navigation a[href]',
-      '.toc a[href]',
-      '.table-of-contents a[href]',
-      '.nav-list a[href]'
-    ];
+    // 导航菜单只能从实时页面解析，页面列表由标签页在启动任务时提供
+    const allPages = options.pages || [];
+    this.totalPages = allPages.filter(page => page.url).length;
     
-    navSelectors.forEach(selector => {
-      const navLinks = document.querySelectorAll(selector);
-      navLinks.forEach(link => {
-        const href = link.getAttribute('href');
-        if (this.isValidDocumentLink(href)) {
-          const fullUrl = this.resolveUrl(href);
-          const title = link.textContent.trim();
-          const level = this.calculateLinkLevel(link);
-          
-          if (!links.some(l => l.url === fullUrl)) {
-            links.push({
-              url: fullUrl,
-              title: title,
-              level: level,
-              element: link
-            });
-          }
-        }
-      });
-    });
+    if (this.totalPages === 0) {
+      throw new Error('未发现任何相关页面，请检查页面结构');
+    }
     
-    // 按层级和顺序排序
-    links.sort((a, b) => {
-      if (a.level !== b.level) return a.level - b.level;
-      // 保持文档中的出现顺序
-      return 0;
-    });
+    this.updateProgress(`发现 ${this.totalPages} 个页面，开始抓取内容...`);
     
-    console.log(`📋 发现 ${links.length} 个相关页面`);
-    return links;
+    return await this.batchFetchPages(allPages);
   }
   
-  isValidDocumentLink(href) {
-    if (!href) return false;
-    
-    // 排除外部链接、锚点链接、非文档链接
-    const excludePatterns = [
-      /^https?:\/\/(?!.*duruofu\.github\.io)/i, // 外部链接
-      /^javascript:/i,
-      /^mailto:/i,
-      /^tel:/i,
-      /\.(pdf|jpg|jpeg|png|gif|zip|rar)$/i, // 非HTML文件
-      /#$/,  // 纯锚点
-    ];
-    
-    return !excludePatterns.some(pattern => pattern.test(href));
+  /**
+   * 读取配置并创建本次导出的调度器、重试管理器和页面加载方式
+   */
+  async prepareCrawl(options = {}) {
+    await this.loadConfig();
+    this.scheduler = this.createScheduler();
+    this.retry = this.createRetryManager();
+    
+    this.fetchMode = options.fetchMode || 'fetch';
+    this.renderWaitSelector = options.renderWaitSelector || '';
+    if (this.fetchMode !== 'fetch') {
+      console.log(`🖥️ 页面加载方式: ${this.fetchMode}${this.renderWaitSelector ? ` (等待 ${this.renderWaitSelector})` : ''}`);
+    }
   }
   
-  resolveUrl(href) {
-    try {
-      return new URL(href, window.location.href).href;
-    } catch {
-      return href;
-    }
+  async loadConfig() {
+    await this.config.load();
+  }
+  
+  /**
+   * 起始页面的地址、标题和正文
+   * 内容脚本中就是当前页面；离屏文档中由后台任务提供
+   */
+  getPageUrl() {
+    return window.location.href;
+  }
+  
+  /**
+   * 页面所在站点的提取规则，没有时返回 null
+   */
+  getSiteRule(url = this.getPageUrl()) {
+    return SiteRules.find(this.config.get('siteRules'), url);
   }
   
-  calculateLinkLevel(linkElement) {
-    // 通过CSS类名或嵌套深度计算层级
-    let level = 1;
-    let parent = linkElement.parentElement;
+  /**
+   * 用元素选取器修改当前站点的提取规则并保存
+   */
+  async pickSiteRule() {
+    if (this.elementPicker.active) return;
     
-    while (parent && !parent.matches('nav, .sidebar, .menu')) {
-      if (parent.matches('li, .nav-item')) {
-        level++;
-      }
-      parent = parent.parentElement;
+    await this.loadConfig();
+    const origin = new URL(window.location.href).origin;
+    const rule = this.getSiteRule(window.location.href) || SiteRules.normalize();
+    
+    let picked;
+    try {
+      picked = await this.elementPicker.pick(rule);
+    } catch (error) {
+      if (error.cancelled) return;
+      throw error;
     }
     
-    // 也可以通过CSS类名判断
-    const classList = linkElement.className.toLowerCase();
-    if (classList.includes('level-2') || classList.includes('sub')) level = 2;
-    if (classList.includes('level-3') || classList.includes('subsub')) level = 3;
+    // 选取期间可能在其他页面修改过规则，保存前重新读取
+    await this.loadConfig();
+    const rules = { ...this.config.get('siteRules') };
+    const updated = SiteRules.normalize({ ...rule, ...picked });
+    if (SiteRules.isEmpty(updated)) {
+      delete rules[origin];
+    } else {
+      rules[origin] = updated;
+    }
+    this.config.set('siteRules', rules);
     
-    return Math.min(level, 6); // 最多6级
+    console.log('🧩 站点提取规则已保存:', updated);
+    alert('✅ 站点提取规则已保存，导出本站点的页面时自动使用');
+  }
+  
+  getPageTitle() {
+    return document.title || '未命名页面';
+  }
+  
+  getStartPageContent() {
+    return this.extractCurrentPageContent();
   }
   
   /**
-   * 生成完整的PDF电子书
-   * 批量抓取所有页面并合并成一个PDF
+   * 在后台启动导出任务
+   * 标签页只提供起始页面和页面列表，抓取、解析和打包由后台服务和离屏文档完成，
+   * 关闭弹窗或离开当前页面都不会中断导出
+   * @param {string} type - pdf / markdown
+   * @returns {Promise<string>} 任务ID
    */
-  async generateCompletePDF(options) {
+  async startGenerationTask(type, options) {
     try {
-      console.log('🚀 开始生成完整PDF电子书...');
-      
-      // 显示进度面板
+      this.resetCancellation();
       this.showProgressPanel();
+      this.setCrawlScope(options.scope);
+      await this.prepareCrawl(options);
+      
+      // 下一页串联模式中，起始页面的“下一页”链接也按自定义选择器查找
+      this.nextSelectors = (options.next && options.next.selectors) || [];
+      const startPage = {
+        url: this.getPageUrl(),
+        title: this.getPageTitle(),
+        content: this.getStartPageContent()
+      };
+      const pages = await this.collectPageList(options);
+      this.throwIfCancelled();
       
-      // 发现所有页面
-      const allPages = this.discoverAllPages();
-      this.totalPages = allPages.length;
-      
-      if (allPages.length === 0) {
-        throw new Error('未发现任何相关页面，请检查页面结构');
+      const response = await this.sendRuntimeMessage({
+        action: 'startGeneration',
+        data: { type, startPage, options: { ...options, pages } }
+      });
+      if (!response.success) {
+        throw new Error(response.error || '无法启动后台导出任务');
       }
       
-      this.updateProgress(`发现 ${allPages.length} 个页面，开始抓取内容...`);
-      
-      // 批量抓取所有页面内容
-      const pageContents = await this.batchFetchPages(allPages);
-      
-      // 生成完整的PDF
-      await this.createCompletePDF(pageContents, options);
+      this.taskId = response.taskId;
+      this.updateProgress('已在后台开始导出，可以关闭弹窗或离开此页面');
+      return response.taskId;
       
     } catch (error) {
-      console.error('PDF生成失败:', error);
+      if (error.cancelled || this.isCancelled()) {
+        console.log('⏹️ 用户取消了生成');
+        this.hideProgressPanel();
+        throw error.cancelled ? error : this.createCancelledError();
+      }
+      console.error('启动导出任务失败:', error);
       this.showError(error.message);
       throw error;
     }
   }
-
+  
   /**
-   * 生成完整的Markdown文档（带图片打包）
+   * 导航和 sitemap 模式在启动任务前确定页面列表（需要时让用户挑选）
+   * 递归爬取和下一页串联模式在抓取过程中发现页面，返回 null
    */
-  async generateCompleteMarkdown(options) {
-    try {
-      console.log('🚀 开始生成完整Markdown文档...');
-      this.showProgressPanel();
-      
-      // 重置图片映射和失败列表
-      this.imageMap.clear();
-      this.imageCounter = 0;
-      this.failedImages = [];
-      
-      const allPages = this.discoverAllPages();
-      this.totalPages = allPages.length;
-      
-      if (allPages.length === 0) {
-        throw new Error('未发现任何相关页面，请检查页面结构');
-      }
-      
-      this.updateProgress(`发现 ${allPages.length} 个页面，开始抓取内容...`);
-      
-      const pageContents = await this.batchFetchPages(allPages);
-      
-      // ========== 新增：收集所有图片 ==========
-      this.updateProgress('正在分析页面中的图片...');
-      const allImageInfos = [];
-      
-      for (const page of pageContents) {
-        if (page.content && page.content.html) {
-          const images = await this.collectImagesFromHTML(page.content.html, page.title);
-          allImageInfos.push(...images);
-        }
+  async collectPageList(options) {
+    if (options.discoveryMode === 'crawl' || options.discoveryMode === 'next') {
+      if (options.pickPages) {
+        console.log('ℹ️ 当前发现方式在抓取过程中发现页面，跳过页面选择');
       }
-      
-      // 去重（基于 URL）
-      const imageUrlMap = new Map();
-      for (const imgInfo of allImageInfos) {
-        if (!imageUrlMap.has(imgInfo.url)) {
-          imageUrlMap.set(imgInfo.url, imgInfo);
-        }
-      }
-      const uniqueImages = Array.from(imageUrlMap.values());
-      console.log(`📊 共发现 ${uniqueImages.length} 张唯一图片`);
-      
-      // 下载所有图片
-      let downloadedImages = [];
-      if (uniqueImages.length > 0) {
-        this.updateProgress(`发现 ${uniqueImages.length} 张图片，开始下载...`);
-        const imageUrls = uniqueImages.map(img => img.url);
-        downloadedImages = await this.batchDownloadImages(imageUrls);
-        
-        // 更新失败图片的上下文信息
-        for (const failedImg of this.failedImages) {
-          const imgInfo = uniqueImages.find(img => img.url === failedImg.url);
-          if (imgInfo) {
-            failedImg.altText = imgInfo.altText;
-            failedImg.context = imgInfo.context;
-            failedImg.pageTitle = imgInfo.pageTitle;
-          }
-        }
-      }
-      
-      // ========== 转换内容为 Markdown ==========
-      this.updateProgress('正在转换内容为Markdown...');
-      
-      let completeMarkdown = `# ${options.title}\n\n`;
-      
-      if (downloadedImages.length > 0) {
-        completeMarkdown += `> 📝 本文档包含 ${downloadedImages.length} 张本地图片\n\n`;
-      }
-      
-      // 生成目录
-      if (pageContents.length > 1) {
-        completeMarkdown += `## 目录\n\n`;
-        pageContents.forEach((page) => {
-          const indent = '  '.repeat(Math.max(0, (page.level || 1) - 1));
-          const title = page.title || '未命名页面';
-          const anchor = title.trim().toLowerCase().replace(/[\s\W]+/g, '-').replace(/^-+|-+$/g, '');
-          completeMarkdown += `${indent}* [${title}](#${anchor})\n`;
-        });
-        completeMarkdown += `\n`;
-      }
-
-      for (let i = 0; i < pageContents.length; i++) {
-        const page = pageContents[i];
-        this.currentProgress = i + 1;
-        this.updateProgress(`正在转换: ${page.title} (${this.currentProgress}/${this.totalPages})`);
-
-        if (page.content) {
-            const level = 1; // 在Markdown中，每个文档都作为一级标题
-            const heading = '#'.repeat(level);
-            completeMarkdown += `${heading} ${page.title || '未命名页面'}\n\n`;
-            
-            const markdownContent = this.htmlToMarkdown(page.content.html);
-            completeMarkdown += markdownContent + '\n\n---\n\n';
-        }
-      }
-      
-      // ========== 新增：替换图片路径 ==========
-      if (downloadedImages.length > 0) {
-        this.updateProgress('正在更新图片路径...');
-        completeMarkdown = this.replaceImagePaths(completeMarkdown);
-      }
-      
-      // ========== 新增：打包为 ZIP 文件 ==========
-      if (downloadedImages.length > 0) {
-        this.updateProgress('正在打包文件...');
-        await this.downloadMarkdownWithImages(completeMarkdown, options.title, downloadedImages);
-      } else {
-        // 如果没有图片，直接下载 Markdown 文件
-        this.downloadMarkdown(completeMarkdown, `${options.title}.md`);
-      }
-      
+      return null;
+    }
+    
+    let allPages = await this.discoverPages(options);
+    
+    if (options.pickPages && allPages.length > 0) {
+      this.updateProgress(`发现 ${allPages.filter(page => page.url).length} 个页面，请选择要包含的页面...`);
+      allPages = this.pruneEmptySections(await this.pagePicker.pick(allPages));
+    }
+    
+    if (!allPages.some(page => page.url)) {
+      throw new Error('未发现任何相关页面，请检查页面结构');
+    }
+    return allPages;
+  }
+  
+  /**
+   * 显示后台任务的进度，任务结束时关闭进度面板
+   */
+  showTaskUpdate(task) {
+    if (!task || task.id !== this.taskId) return;
+    
+    if (task.status === 'running' || task.status === 'cancelling') {
+      this.currentProgress = task.progress;
+      this.totalPages = 100;
+      this.updateProgress(task.text);
+      return;
+    }
+    
+    this.taskId = null;
+    if (task.status === 'failed') {
+      this.showError(task.error);
+    } else {
       this.hideProgressPanel();
-      console.log('✅ Markdown文档生成完成');
-
-    } catch (error) {
-      console.error('Markdown生成失败:', error);
-      this.showError(error.message);
-      throw error;
     }
   }
-
+  
   /**
-   * 下载Markdown文件
+   * 根据 crawler 配置创建礼貌抓取调度器（robots.txt、Crawl-delay、按主机限速）
    */
-  downloadMarkdown(content, filename) {
-    const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  createScheduler() {
+    return new HostScheduler({
+      requestDelay: this.config.get('crawler.requestDelay'),
+      respectRobotsTxt: this.config.get('crawler.respectRobotsTxt'),
+      maxRetryAfter: this.config.get('crawler.maxRetryAfter'),
+      userAgent: this.config.get('crawler.userAgent'),
+      fetchText: (url) => this.fetchRawViaBackground(url),
+      signal: this.abortController && this.abortController.signal
+    });
   }
-
+  
   /**
-   * 下载 Markdown 文件和图片（打包为 ZIP）
-   * 使用 JSZip 将 Markdown 文件和 images 文件夹打包成一个 ZIP 文件
+   * 根据 crawler 配置创建重试管理器（只重试超时、5xx 和 429）
+   */
+  createRetryManager() {
+    return new RetryManager(
+      this.config.get('crawler.retryAttempts'),
+      this.config.get('crawler.retryDelay')
+    );
+  }
+  
+  /**
+   * 是否允许请求携带用户的登录状态（Cookie）
+   * 需要用户开启“使用我的登录状态”，目标主机在允许列表中，并且与当前页面同站
    */
-  async downloadMarkdownWithImages(markdownContent, title, downloadedImages) {
+  canSendCredentials(url) {
+    if (!this.config.get('auth.useSession')) return false;
+    
+    let host;
     try {
-      console.log('📦 开始打包文件...');
-      console.log(`📄 Markdown 内容长度: ${markdownContent.length} 字符`);
-      console.log(`🖼️  图片数量: ${downloadedImages.length}`);
-      
-      // 清理文件名，移除不安全字符
-      const safeTitle = this.sanitizeFileName(title);
-      console.log(`📝 文件名: ${safeTitle}.md`);
-      
-      // 创建 ZIP 对象
-      const zip = new JSZip();
-      
-      // 添加 Markdown 文件到 ZIP 根目录
-      zip.file(`${safeTitle}.md`, markdownContent);
-      console.log(`✅ 已添加 Markdown 文件: ${safeTitle}.md`);
-      
-      // 创建 images 文件夹并添加所有图片
-      const imagesFolder = zip.folder('images');
+      host = new URL(url, this.getPageUrl()).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    
+    if (!this.isSameSite(host, new URL(this.getPageUrl()).hostname.toLowerCase())) return false;
+    
+    const allowedDomains = this.config.get('auth.allowedDomains') || [];
+    return allowedDomains.some(pattern => this.matchesDomainPattern(host, pattern));
+  }
+  
+  /**
+   * 图片是否携带 Cookie：允许列表中的站点，以及与起始页面同源的图片（需要认证的站内图片）
+   * 离屏文档中的请求来自扩展自身，credentials: 'same-origin' 不会携带站点 Cookie，因此显式比较起始页面的源
+   */
+  canSendImageCredentials(imageUrl) {
+    if (this.canSendCredentials(imageUrl)) return true;
+    
+    try {
+      return new URL(imageUrl, this.getPageUrl()).origin === new URL(this.getPageUrl()).origin;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * 同站判断：主机相同，或最后两级域名相同（如 wiki.corp.com 与 docs.corp.com）
+   * 这只是粗略判断，真正的限制由允许列表保证
+   */
+  isSameSite(hostA, hostB) {
+    const site = host => host.split('.').slice(-2).join('.');
+    return hostA === hostB || site(hostA) === site(hostB);
+  }
+  
+  /**
+   * 允许列表规则：example.com 只匹配该主机，*.example.com 匹配该域名及其所有子域名
+   * 规则中误粘贴的协议、端口和路径会被忽略
+   */
+  matchesDomainPattern(host, pattern) {
+    const domain = String(pattern).trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/:].*$/, '');
+    if (!domain) return false;
+    
+    if (domain.startsWith('*.')) {
+      const base = domain.slice(2);
+      return host === base || host.endsWith('.' + base);
+    }
+    return host === domain;
+  }
+  
+  /**
+   * 开始新的导出，创建本次导出的取消控制器
+   */
+  resetCancellation() {
+    this.abortController = new AbortController();
+  }
+  
+  /**
+   * 取消正在进行的导出：中止本页和后台所有进行中的请求，流水线在下一个检查点停止
+   */
+  cancelGeneration() {
+    // 任务已交给后台时由后台通知离屏文档停止
+    if (this.taskId) {
+      chrome.runtime.sendMessage({ action: 'cancelGeneration', taskId: this.taskId }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+    
+    if (!this.abortController || this.abortController.signal.aborted) return;
+    
+    console.log('⏹️ 正在取消生成...');
+    this.abortController.abort();
+    this.updateProgress('正在取消...');
+    
+    chrome.runtime.sendMessage({ action: 'abortFetches' }, () => {
+      // 读取 lastError，避免后台不可用时控制台报错
+      void chrome.runtime.lastError;
+    });
+  }
+  
+  isCancelled() {
+    return !!(this.abortController && this.abortController.signal.aborted);
+  }
+  
+  createCancelledError() {
+    const error = new Error('已取消生成');
+    error.cancelled = true;
+    return error;
+  }
+  
+  /**
+   * 流水线检查点：导出已取消时抛出取消错误
+   */
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      throw this.createCancelledError();
+    }
+  }
+  
+  /**
+   * 带超时和取消的 fetch
+   * 超时（crawler.timeout）覆盖连接和读取正文，抛出 error.timeout = true 的错误，交给 RetryManager 重试；
+   * 用户取消时抛出 error.cancelled = true 的错误
+   * @param {Function} read - (response) => 结果，在超时控制内读取响应
+   */
+  async fetchWithTimeout(url, init = {}, read = response => response) {
+    this.throwIfCancelled();
+    
+    const timeout = this.config.get('crawler.timeout');
+    const controller = new AbortController();
+    const onCancel = () => controller.abort();
+    let timedOut = false;
+    
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+    this.abortController?.signal.addEventListener('abort', onCancel);
+    
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      return await read(response);
+    } catch (error) {
+      if (this.isCancelled()) throw this.createCancelledError();
+      if (timedOut) {
+        const timeoutError = new Error(`请求超时（${timeout / 1000} 秒）: ${url}`);
+        timeoutError.timeout = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.abortController?.signal.removeEventListener('abort', onCancel);
+    }
+  }
+  
+  /**
+   * 向后台发送消息，导出被取消时立即放弃等待
+   */
+  sendRuntimeMessage(message) {
+    this.throwIfCancelled();
+    const signal = this.abortController && this.abortController.signal;
+    
+    return new Promise((resolve, reject) => {
+      const onCancel = () => reject(this.createCancelledError());
+      signal?.addEventListener('abort', onCancel, { once: true });
+      
+      chrome.runtime.sendMessage(message, (response) => {
+        signal?.removeEventListener('abort', onCancel);
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.cancelled) {
+          reject(this.createCancelledError());
+        } else {
+          resolve(response || {});
+        }
+      });
+    });
+  }
+  
+  /**
+   * 按弹窗选择的发现方式获取页面列表
+   * - nav: 解析当前页面的导航菜单（默认）
+   * - sitemap: 读取站点的 sitemap.xml
+   */
+  async discoverPages(options = {}) {
+    switch (options.discoveryMode) {
+      case 'sitemap':
+        this.updateProgress('正在读取 sitemap.xml...');
+        return await this.discoverFromSitemap();
+        
+      case 'nav':
+      default:
+        return this.discoverAllPages();
+    }
+  }
+  
+  /**
+   * 发现所有相关页面
+   * 通过分析导航菜单自动发现整个文档站点的结构
+   * 返回按导航顺序展开的章节列表，没有链接的分组标题以 isSection 条目保留
+   */
+  discoverAllPages() {
+    console.log('🔍 开始发现文档站点结构...');
+    
+    this.baseUrl = new URL(window.location.href).origin;
+    
+    // 站点规则指定了导航容器时优先使用
+    let navTree = [];
+    const rule = this.getSiteRule(window.location.href);
+    if (rule && rule.navSelector) {
+      try {
+        navTree = this.buildNavTree(document, [rule.navSelector]);
+        console.log(`🧩 站点规则的导航选择器: ${rule.navSelector}，找到 ${navTree.length} 项`);
+      } catch (error) {
+        console.warn(`⚠️ 站点规则的导航选择器无效: ${rule.navSelector}`);
+      }
+    }
+    
+    // 已识别的框架使用其导航结构，找不到时回退到通用导航选择器
+    if (navTree.length === 0) {
+      const adapter = this.adapters.detect(document);
+      console.log(`🧩 站点类型: ${adapter.name}`);
+      
+      navTree = this.buildNavTree(document, adapter.navSelectors);
+      if (navTree.length === 0 && adapter !== this.adapters.generic) {
+        navTree = this.buildNavTree(document, this.adapters.generic.navSelectors);
+      }
+    }
+    const links = this.flattenNavTree(navTree);
+    
+    console.log(`📋 发现 ${links.filter(link => link.url).length} 个相关页面`);
+    return links;
+  }
+  
+  /**
+   * 解析导航区域为章节树
+   * 节点结构: {title, url, children}，分组标题的 url 为 null
+   */
+  buildNavTree(doc, navSelectors) {
+    // 只取最外层的导航容器，避免嵌套容器被重复解析
+    const containers = Array.from(doc.querySelectorAll(navSelectors.join(', ')))
+      .filter((container, index, all) => !all.some(other => other !== container && other.contains(container)));
+    
+    const tree = [];
+    containers.forEach(container => {
+      tree.push(...this.parseNavContainer(container));
+    });
+    
+    return tree;
+  }
+  
+  /**
+   * 解析导航容器的子元素
+   * 处理两种常见结构：
+   * 1. 标题元素后跟列表（如 Sphinx 的 caption + ul），标题作为分组
+   * 2. 链接后跟子列表（如折叠菜单），子列表作为该链接的子节点
+   */
+  parseNavContainer(element) {
+    const nodes = [];
+    let section = null;
+    let lastLeaf = null;
+    
+    for (const child of element.children) {
+      if (child.matches('script, style, template')) continue;
+      
+      if (this.isNavSectionHeader(child)) {
+        section = { title: this.cleanNavText(child.textContent), url: null, children: [] };
+        nodes.push(section);
+        lastLeaf = null;
+        continue;
+      }
+      
+      const parsed = this.parseNavElement(child);
+      if (parsed.length === 0) continue;
+      
+      // 只包含分组标题的包装元素（如 <div class="item"><h2>标题</h2></div>），其后的兄弟元素归入该分组
+      if (parsed.length === 1 && parsed[0].url === null && parsed[0].children.length === 0) {
+        section = parsed[0];
+        nodes.push(section);
+        lastLeaf = null;
+        continue;
+      }
+      
+      if (lastLeaf && this.isNavSubList(child)) {
+        lastLeaf.children.push(...parsed);
+        lastLeaf = null;
+        continue;
+      }
+      
+      // 子列表单独包在下一个兄弟 li 中（如 mdBook 的 <li><ol class="section">）
+      if (lastLeaf && parsed.length === 1 && !parsed[0].url && !parsed[0].title) {
+        lastLeaf.children.push(...parsed[0].children);
+        lastLeaf = null;
+        continue;
+      }
+      
+      (section ? section.children : nodes).push(...parsed);
+      lastLeaf = parsed.length === 1 && parsed[0].children.length === 0 ? parsed[0] : null;
+    }
+    
+    return nodes;
+  }
+  
+  parseNavElement(element) {
+    if (element.matches('li, details')) {
+      const node = this.parseNavItem(element);
+      return node ? [node] : [];
+    }
+    
+    if (element.matches('a[href]')) {
+      return [{ title: this.cleanNavText(element.textContent), url: element.getAttribute('href'), children: [] }];
+    }
+    
+    return this.parseNavContainer(element);
+  }
+  
+  /**
+   * 解析单个导航项（li 或 details）
+   * 第一个不在子列表中的链接作为该项的标题，details 以 summary 为标题；
+   * 没有链接的项保留其文字作为分组标题
+   */
+  parseNavItem(item) {
+    let link = null;
+    let headerText = '';
+    const children = [];
+    
+    const visit = (element) => {
+      for (const child of element.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (!link) headerText += child.textContent;
+          continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE || child.matches('script, style, svg, template')) continue;
+        
+        if (item.tagName === 'DETAILS' && child.tagName === 'SUMMARY' && child.parentElement === item) {
+          const summaryLink = child.querySelector('a[href]');
+          if (summaryLink && !link) {
+            link = summaryLink;
+          } else {
+            headerText += child.textContent;
+          }
+          continue;
+        }
+        
+        if (child.matches('ul, ol, li, details')) {
+          children.push(...this.parseNavElement(child));
+          continue;
+        }
+        
+        if (child.matches('a[href]')) {
+          if (!link) {
+            link = child;
+          } else {
+            children.push(...this.parseNavElement(child));
+          }
+          continue;
+        }
+        
+        visit(child);
+      }
+    };
+    visit(item);
+    
+    const title = this.cleanNavText(link ? link.textContent : headerText);
+    if (!link && !title && children.length === 0) return null;
+    
+    return {
+      title,
+      url: link ? link.getAttribute('href') : null,
+      children
+    };
+  }
+  
+  isNavSectionHeader(element) {
+    return element.matches('h1, h2, h3, h4, h5, h6, .caption, .sidebar-heading, .nav-header, .menu-title, [role="heading"]') &&
+      !element.querySelector('a[href]');
+  }
+  
+  isNavSubList(element) {
+    return element.matches('ul, ol') ||
+      /(^|[-_\s])(items|children|sub|submenu|nested|collapse)([-_\s]|$)/i.test(element.getAttribute('class') || '');
+  }
+  
+  cleanNavText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * 将章节树按文档顺序展开为列表，层级由树的深度决定
+   * - 规范化后指向同一页面的链接只保留第一次；带锚点的重复链接作为该章节内的子书签
+   * - 无效链接或分组标题转为 isSection 条目（作为部分标题）
+   * - 不包含任何页面的分组被移除
+   */
+  flattenNavTree(nodes, level = 1, output = [], seen = new Map()) {
+    for (const node of nodes) {
+      const url = node.url && this.isValidDocumentLink(node.url) ? this.resolveUrl(node.url) : null;
+      const key = url ? this.canonicalizeUrl(url) : null;
+      let childLevel = level;
+      
+      if (url && !seen.has(key)) {
+        const entry = { url, title: node.title || this.extractor.extractTitleFromURL(url), level };
+        seen.set(key, entry);
+        output.push(entry);
+        childLevel = level + 1;
+      } else if (url) {
+        this.addPageAnchor(seen.get(key), url, node.title);
+      } else if (node.title && node.children.length > 0) {
+        output.push({ url: null, title: node.title, level, isSection: true });
+        childLevel = level + 1;
+      }
+      
+      this.flattenNavTree(node.children, Math.min(childLevel, 6), output, seen);
+    }
+    
+    return level === 1 ? this.pruneEmptySections(output) : output;
+  }
+  
+  /**
+   * 把指向已有章节某个位置的链接（page#section）记为该章节的子书签
+   */
+  addPageAnchor(entry, url, title) {
+    let fragment = '';
+    try {
+      fragment = decodeURIComponent(new URL(url).hash.slice(1));
+    } catch (e) {
+      return;
+    }
+    
+    if (!fragment || !title) return;
+    
+    entry.anchors = entry.anchors || [];
+    if (!entry.anchors.some(anchor => anchor.id === fragment)) {
+      entry.anchors.push({ id: fragment, title });
+    }
+  }
+  
+  /**
+   * 移除不包含任何页面的分组标题（其后更深层级的条目中没有页面）
+   */
+  pruneEmptySections(pages) {
+    return pages.filter((entry, index) => {
+      if (!entry.isSection) return true;
+      for (let i = index + 1; i < pages.length && pages[i].level > entry.level; i++) {
+        if (!pages[i].isSection) return true;
+      }
+      return false;
+    });
+  }
+  
+  /**
+   * 通过 sitemap.xml 发现页面
+   * 适用于导航由JavaScript渲染、静态HTML中找不到链接的站点
+   * 支持 sitemap 索引嵌套和 .xml.gz 压缩文件（通过background代理获取）
+   */
+  async discoverFromSitemap() {
+    console.log('🗺️ 开始从 sitemap 发现页面...');
+    
+    const candidates = await this.findSitemapCandidates();
+    
+    for (const sitemapUrl of candidates) {
+      const entries = [];
+      await this.collectSitemapEntries(sitemapUrl, entries, new Set(), 0);
+      
+      if (entries.length === 0) continue;
+      
+      console.log(`📋 sitemap ${sitemapUrl} 共包含 ${entries.length} 个URL`);
+      
+      // 过滤掉不在抓取范围内的页面并去重
+      const seen = new Set();
+      const inScope = entries.filter(entry => {
+        const key = this.canonicalizeUrl(entry.url);
+        if (seen.has(key) || !this.isValidDocumentLink(entry.url)) return false;
+        seen.add(key);
+        return true;
+      });
+      
+      if (inScope.length === 0) {
+        console.warn(`⚠️ sitemap ${sitemapUrl} 中没有符合抓取范围的页面`);
+        continue;
+      }
+      
+      const links = this.orderSitemapEntries(inScope);
+      console.log(`📋 从 sitemap 发现 ${links.length} 个相关页面`);
+      return links;
+    }
+    
+    console.warn('⚠️ 未找到可用的 sitemap');
+    return [];
+  }
+  
+  /**
+   * 收集可能的 sitemap 地址，按可信度排序
+   * 1. 页面中的 <link rel="sitemap">
+   * 2. robots.txt 中声明的 Sitemap
+   * 3. 当前路径各级目录下的 sitemap.xml（适配部署在子路径的文档站点）
+   */
+  async findSitemapCandidates() {
+    const origin = new URL(window.location.href).origin;
+    const candidates = [];
+    const add = (url) => {
+      const resolved = this.resolveUrl(url);
+      if (resolved && !candidates.includes(resolved)) candidates.push(resolved);
+    };
+    
+    document.querySelectorAll('link[rel="sitemap"][href]').forEach(link => {
+      add(link.getAttribute('href'));
+    });
+    
+    const robots = await this.scheduler.getRobotsRules(origin);
+    if (robots) {
+      robots.sitemaps.forEach(add);
+    }
+    
+    const segments = new URL(window.location.href).pathname.split('/').filter(Boolean);
+    for (let depth = segments.length; depth >= 0; depth--) {
+      const dir = segments.slice(0, depth).filter(s => !/\.[a-z0-9]+$/i.test(s));
+      if (dir.length !== depth) continue;
+      add(`${origin}/${dir.map(s => s + '/').join('')}sitemap.xml`);
+    }
+    add(`${origin}/sitemap_index.xml`);
+    
+    return candidates;
+  }
+  
+  /**
+   * 递归读取 sitemap，索引文件会继续展开其中的子 sitemap
+   */
+  async collectSitemapEntries(sitemapUrl, entries, visited, depth) {
+    const MAX_DEPTH = 3;
+    const MAX_SITEMAP_FILES = 50;
+    
+    if (visited.has(sitemapUrl) || depth > MAX_DEPTH || visited.size >= MAX_SITEMAP_FILES) return;
+    visited.add(sitemapUrl);
+    
+    let xmlText;
+    try {
+      xmlText = await this.fetchRawViaBackground(sitemapUrl);
+    } catch (error) {
+      console.log(`sitemap 不可用: ${sitemapUrl} (${error.message})`);
+      return;
+    }
+    
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.querySelector('parsererror')) {
+      console.warn(`⚠️ sitemap 解析失败: ${sitemapUrl}`);
+      return;
+    }
+    
+    const root = doc.documentElement;
+    
+    if (root.localName === 'sitemapindex') {
+      const childUrls = Array.from(root.querySelectorAll('sitemap > loc'))
+        .map(loc => loc.textContent.trim())
+        .filter(Boolean);
+      console.log(`🗂️ sitemap 索引 ${sitemapUrl} 包含 ${childUrls.length} 个子 sitemap`);
+      
+      for (const childUrl of childUrls) {
+        await this.collectSitemapEntries(this.resolveUrl(childUrl), entries, visited, depth + 1);
+      }
+      return;
+    }
+    
+    if (root.localName === 'urlset') {
+      root.querySelectorAll('url').forEach(urlNode => {
+        const loc = urlNode.querySelector('loc')?.textContent.trim();
+        if (!loc) return;
+        entries.push({
+          url: this.resolveUrl(loc),
+          lastmod: urlNode.querySelector('lastmod')?.textContent.trim() || null
+        });
+      });
+    }
+  }
+  
+  /**
+   * 将 sitemap 条目整理为章节列表
+   * sitemap 本身没有顺序和标题，这里按路径层级排序（父目录在前，同级按自然顺序），
+   * 层级取相对最浅路径的深度，标题先用URL推断，抓取后再替换为页面真实标题
+   */
+  orderSitemapEntries(entries) {
+    const pathSegments = (url) => {
+      const segments = new URL(url).pathname.split('/').filter(Boolean);
+      // index.html 与所在目录视为同一层级
+      if (segments.length > 0 && /^index\.[a-z]+$/i.test(segments[segments.length - 1])) {
+        segments.pop();
+      }
+      return segments;
+    };
+    
+    const withSegments = entries.map(entry => ({ ...entry, segments: pathSegments(entry.url) }));
+    
+    withSegments.sort((a, b) => {
+      const length = Math.min(a.segments.length, b.segments.length);
+      for (let i = 0; i < length; i++) {
+        const diff = a.segments[i].localeCompare(b.segments[i], undefined, { numeric: true });
+        if (diff !== 0) return diff;
+      }
+      return a.segments.length - b.segments.length;
+    });
+    
+    const minDepth = Math.min(...withSegments.map(entry => entry.segments.length));
+    
+    return withSegments.map(entry => ({
+      url: entry.url,
+      title: this.extractor.extractTitleFromURL(entry.url).replace(/[-_]+/g, ' ').trim() || '未命名页面',
+      preferPageTitle: true,
+      level: Math.min(entry.segments.length - minDepth + 1, 6),
+      lastmod: entry.lastmod
+    }));
+  }
+  
+  isValidDocumentLink(href) {
+    if (!href) return false;
+    
+    // 排除锚点链接、非文档链接
+    const excludePatterns = [
+      /^javascript:/i,
+      /^mailto:/i,
+      /^tel:/i,
+      /\.(pdf|jpg|jpeg|png|gif|zip|rar)$/i, // 非HTML文件
+      /#$/,  // 纯锚点
+    ];
+    
+    if (excludePatterns.some(pattern => pattern.test(href))) return false;
+    
+    // 站外链接和不在路径前缀、包含/排除规则内的链接由抓取范围决定
+    return this.scope.contains(this.resolveUrl(href));
+  }
+  
+  resolveUrl(href) {
+    try {
+      return new URL(href, this.getPageUrl()).href;
+    } catch {
+      return href;
+    }
+  }
+  
+  /**
+   * 生成完整的PDF电子书
+   * 批量抓取所有页面并合并成一个PDF
+   */
+  async generateCompletePDF(options) {
+    try {
+      console.log('🚀 开始生成完整PDF电子书...');
+      
+      // 显示进度面板
+      this.resetCancellation();
+      this.showProgressPanel();
+      this.setCrawlScope(options.scope);
+      
+      // 发现并抓取所有页面内容
+      const pageContents = await this.collectPageContents(options);
+      this.throwIfCancelled();
+      this.removeBoilerplate(pageContents, options);
+      
+      // 生成完整的PDF
+      await this.createCompletePDF(pageContents, options);
+      
+    } catch (error) {
+      if (error.cancelled || this.isCancelled()) {
+        console.log('⏹️ 用户取消了生成');
+        this.hideProgressPanel();
+        throw error.cancelled ? error : this.createCancelledError();
+      }
+      console.error('PDF生成失败:', error);
+      this.showError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 生成完整的Markdown文档（带图片打包）
+   */
+  async generateCompleteMarkdown(options) {
+    try {
+      console.log('🚀 开始生成完整Markdown文档...');
+      this.resetCancellation();
+      this.showProgressPanel();
+      
+      // 重置图片映射和失败列表
+      this.imageMap.clear();
+      this.imageCounter = 0;
+      this.failedImages = [];
+      
+      this.setCrawlScope(options.scope);
+      const pageContents = await this.collectPageContents(options);
+      this.removeBoilerplate(pageContents, options);
+      
+      // ========== 新增：收集所有图片 ==========
+      this.updateProgress('正在分析页面中的图片...');
+      const allImageInfos = [];
+      
+      for (const page of pageContents) {
+        if (page.content && page.content.html) {
+          const images = await this.collectImagesFromHTML(page.content.html, page.title);
+          allImageInfos.push(...images);
+        }
+      }
+      
+      // 去重（基于 URL）
+      const imageUrlMap = new Map();
+      for (const imgInfo of allImageInfos) {
+        if (!imageUrlMap.has(imgInfo.url)) {
+          imageUrlMap.set(imgInfo.url, imgInfo);
+        }
+      }
+      const uniqueImages = Array.from(imageUrlMap.values());
+      console.log(`📊 共发现 ${uniqueImages.length} 张唯一图片`);
+      
+      // 下载所有图片
+      let downloadedImages = [];
+      if (uniqueImages.length > 0) {
+        this.updateProgress(`发现 ${uniqueImages.length} 张图片，开始下载...`);
+        const imageUrls = uniqueImages.map(img => img.url);
+        downloadedImages = await this.batchDownloadImages(imageUrls);
+        
+        // 更新失败图片的上下文信息
+        for (const failedImg of this.failedImages) {
+          const imgInfo = uniqueImages.find(img => img.url === failedImg.url);
+          if (imgInfo) {
+            failedImg.altText = imgInfo.altText;
+            failedImg.context = imgInfo.context;
+            failedImg.pageTitle = imgInfo.pageTitle;
+          }
+        }
+      }
+      
+      // ========== 转换内容为 Markdown ==========
+      this.updateProgress('正在转换内容为Markdown...');
+      
+      const book = this.getBookMetadata(pageContents, options);
+      let completeMarkdown = this.buildFrontMatter(book) + `# ${options.title}\n\n`;
+      
+      if (downloadedImages.length > 0) {
+        completeMarkdown += `> 📝 本文档包含 ${downloadedImages.length} 张本地图片\n\n`;
+      }
+      
+      // 生成目录（按章节树缩进，分组标题同样可跳转）
+      if (pageContents.length > 1) {
+        completeMarkdown += `## 目录\n\n`;
+        pageContents.forEach((page) => {
+          const indent = '  '.repeat(Math.max(0, (page.level || 1) - 1));
+          const title = page.title || '未命名页面';
+          const anchor = title.trim().toLowerCase().replace(/[\s\W]+/g, '-').replace(/^-+|-+$/g, '');
+          completeMarkdown += `${indent}* [${title}](#${anchor})\n`;
+          
+          // 章节内的子书签
+          (page.anchors || []).forEach(subAnchor => {
+            const slug = subAnchor.title.trim().toLowerCase().replace(/[\s\W]+/g, '-').replace(/^-+|-+$/g, '');
+            completeMarkdown += `${indent}  * [${subAnchor.title}](#${slug})\n`;
+          });
+        });
+        completeMarkdown += `\n`;
+      }
+
+      this.currentProgress = 0;
+      for (let i = 0; i < pageContents.length; i++) {
+        const page = pageContents[i];
+
+        // 分组标题只输出标题，供目录跳转
+        if (page.isSection) {
+            completeMarkdown += `# ${page.title}\n\n`;
+            continue;
+        }
+
+        this.currentProgress = Math.min(this.currentProgress + 1, this.totalPages);
+        this.updateProgress(`正在转换: ${page.title} (${this.currentProgress}/${this.totalPages})`);
+
+        if (page.content) {
+            const level = 1; // 在Markdown中，每个文档都作为一级标题
+            const heading = '#'.repeat(level);
+            completeMarkdown += `${heading} ${page.title || '未命名页面'}\n\n`;
+            
+            // 章节的作者、日期、摘要和非 UTF-8 页面的原编码
+            const metadata = page.content.metadata || {};
+            const metaLines = [
+              this.getPageMetaDetails(metadata).join(' · '),
+              metadata.description,
+              this.getEncodingNote(page.content)
+            ].filter(Boolean);
+            if (metaLines.length > 0) {
+              completeMarkdown += metaLines.map(line => `> ${line}`).join('\n>\n') + '\n\n';
+            }
+            
+            const markdownContent = this.htmlToMarkdown(page.content.html);
+            completeMarkdown += markdownContent + '\n\n---\n\n';
+        }
+      }
+      
+      // ========== 新增：替换图片路径 ==========
+      if (downloadedImages.length > 0) {
+        this.updateProgress('正在更新图片路径...');
+        completeMarkdown = this.replaceImagePaths(completeMarkdown);
+      }
+      
+      this.throwIfCancelled();
+      
+      // ========== 打包为 ZIP 文件（Markdown、图片和抓取报告） ==========
+      this.updateProgress('正在打包文件...');
+      const report = this.createCrawlReport(pageContents, options, 'markdown');
+      await this.downloadMarkdownWithImages(completeMarkdown, options.title, downloadedImages, report);
+      
+      this.hideProgressPanel();
+      console.log('✅ Markdown文档生成完成');
+
+    } catch (error) {
+      if (error.cancelled || this.isCancelled()) {
+        console.log('⏹️ 用户取消了生成');
+        this.hideProgressPanel();
+        throw error.cancelled ? error : this.createCancelledError();
+      }
+      console.error('Markdown生成失败:', error);
+      this.showError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 移除各页面重复出现的内容（编辑链接、翻页导航、反馈组件、页脚等）
+   * 移除摘要写入抓取报告，并在导出完成后显示在弹窗中
+   */
+  removeBoilerplate(pageContents, options) {
+    this.boilerplateSummary = [];
+    if (options.removeBoilerplate === false) return;
+    
+    this.updateProgress('正在检测各页面重复的内容...');
+    const pages = pageContents.filter(page => !page.isSection && page.content && page.content.html);
+    const result = this.boilerplate.process(pages.map(page => page.content.html));
+    
+    // 替换而不是修改原对象，已保存的抓取结果保持不变
+    pages.forEach((page, index) => {
+      const { html, textLength, removed } = result.pages[index];
+      if (removed > 0) {
+        page.content = { ...page.content, html, textLength, boilerplateRemoved: removed };
+      }
+    });
+    
+    this.boilerplateSummary = result.blocks;
+    if (result.blocks.length > 0) {
+      console.log(`🧽 移除了 ${result.blocks.length} 种重复内容:`);
+      result.blocks.forEach(block => console.log(`   - ${block.sample} (${block.pages} 个页面)`));
+    }
+  }
+  
+  /**
+   * 生成本次导出的抓取报告
+   */
+  createCrawlReport(pageContents, options, type) {
+    const report = new CrawlReport(pageContents, {
+      title: options.title,
+      startUrl: this.getPageUrl(),
+      type: type,
+      boilerplate: this.boilerplateSummary
+    });
+    report.log();
+    return report;
+  }
+  
+  /**
+   * 在 PDF 旁边单独下载抓取报告
+   */
+  async downloadCrawlReport(report, title) {
+    const safeTitle = this.sanitizeFileName(title);
+    await this.saveFile(new Blob([report.toJSON()], { type: 'application/json;charset=utf-8' }), `${safeTitle}-crawl-report.json`);
+    await this.saveFile(new Blob([report.toCSV()], { type: 'text/csv;charset=utf-8' }), `${safeTitle}-crawl-report.csv`);
+  }
+  
+  /**
+   * 保存生成的文件
+   */
+  async saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 下载 Markdown 文件和图片（打包为 ZIP）
+   * 使用 JSZip 将 Markdown 文件、images 文件夹和抓取报告打包成一个 ZIP 文件
+   */
+  async downloadMarkdownWithImages(markdownContent, title, downloadedImages, report) {
+    try {
+      console.log('📦 开始打包文件...');
+      console.log(`📄 Markdown 内容长度: ${markdownContent.length} 字符`);
+      console.log(`🖼️  图片数量: ${downloadedImages.length}`);
+      
+      // 清理文件名，移除不安全字符
+      const safeTitle = this.sanitizeFileName(title);
+      console.log(`📝 文件名: ${safeTitle}.md`);
+      
+      // 创建 ZIP 对象
+      const zip = new JSZip();
+      
+      // 添加 Markdown 文件到 ZIP 根目录
+      zip.file(`${safeTitle}.md`, markdownContent);
+      console.log(`✅ 已添加 Markdown 文件: ${safeTitle}.md`);
+      
+      // 创建 images 文件夹并添加所有图片
+      const imagesFolder = downloadedImages.length > 0 ? zip.folder('images') : null;
       let imageCount = 0;
       for (const imageInfo of downloadedImages) {
         if (imageInfo && imageInfo.blob && imageInfo.fileName) {
@@ -390,6 +1291,13 @@ class EnhancedPDFGenerator {
         console.log(`⚠️  已添加失败报告: ${this.failedImages.length} 张图片需要手动处理`);
       }
       
+      // 每个页面的抓取结果，便于核对导出内容
+      if (report) {
+        zip.file('crawl-report.json', report.toJSON());
+        zip.file('crawl-report.csv', report.toCSV());
+        console.log('📋 已添加抓取报告: crawl-report.json, crawl-report.csv');
+      }
+      
       // 生成 ZIP 文件
       console.log('🔄 正在压缩文件...');
       const zipBlob = await zip.generateAsync({
@@ -403,14 +1311,7 @@ class EnhancedPDFGenerator {
       console.log(`📦 ZIP 大小: ${(zipBlob.size / 1024 / 1024).toFixed(2)} MB`);
       
       // 下载 ZIP 文件
-      const url = URL.createObjectURL(zipBlob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${safeTitle}.zip`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      await this.saveFile(zipBlob, `${safeTitle}.zip`);
       
       console.log(`✅ ZIP 文件已生成: ${safeTitle}.zip (包含 1 个 Markdown 文件 + ${imageCount} 张图片)`);
     } catch (error) {
@@ -535,795 +1436,817 @@ class EnhancedPDFGenerator {
               return childrenContent;
       }
   }
-
+
+  /**
+   * 批量抓取页面内容
+   * 通过有上限的并发池抓取（crawler.maxConcurrency），结果仍按导航顺序返回
+   */
+  async batchFetchPages(pageLinks) {
+    const concurrency = Math.max(1, parseInt(this.config.get('crawler.maxConcurrency'), 10) || 1);
+    const results = new Array(pageLinks.length);
+    const stats = { completed: 0, inFlight: 0, failed: 0 };
+    const pageIndexes = [];
+    
+    pageLinks.forEach((link, i) => {
+      if (!link.isSection) pageIndexes.push(i);
+    });
+    
+    console.log(`🚀 并发抓取 ${pageIndexes.length} 个页面 (并发数: ${concurrency})`);
+    this.currentProgress = 0;
+    
+    await this.runWorkerPool(pageIndexes, concurrency, async (i) => {
+      const link = pageLinks[i];
+      
+      stats.inFlight++;
+      this.updateFetchProgress(link.title, stats);
+      
+      results[i] = await this.fetchPageEntry(link, i);
+      
+      stats.inFlight--;
+      stats.completed++;
+      if (!results[i].success) stats.failed++;
+      this.currentProgress = stats.completed;
+      this.updateFetchProgress(link.title, stats);
+    });
+    
+    // 全部完成后按导航顺序组装，canonical 去重也按导航顺序进行，保证结果稳定
+    const contents = [];
+    const fetchedPages = new Map(); // 规范化URL -> 章节条目，用于 canonical 去重
+    
+    pageLinks.forEach((link, i) => {
+      // 分组标题没有对应页面，只保留在目录结构中
+      if (link.isSection) {
+        contents.push({ ...link, content: null, index: i });
+        return;
+      }
+      
+      const { entry, success } = results[i];
+      const duplicate = success ? this.findCanonicalDuplicate(entry, fetchedPages) : null;
+      if (duplicate) {
+        this.mergeDuplicatePage(duplicate, entry);
+      } else {
+        contents.push(entry);
+      }
+    });
+    
+    console.log(`📊 批量抓取完成 - 总计: ${this.totalPages}, 成功: ${stats.completed - stats.failed}, 失败: ${stats.failed}`);
+    this.logEncodingSummary(contents);
+    return contents;
+  }
+  
+  /**
+   * 汇总各页面识别出的字符编码，非 UTF-8 页面逐一列出，便于排查乱码
+   */
+  logEncodingSummary(contents) {
+    const counts = new Map();
+    const nonUtf8 = [];
+    
+    for (const page of contents) {
+      // document.characterSet 为大写形式（UTF-8），统一转成小写
+      const encoding = ((page.content && page.content.encoding) || '').toLowerCase();
+      if (!encoding) continue;
+      
+      counts.set(encoding, (counts.get(encoding) || 0) + 1);
+      if (encoding !== 'utf-8') {
+        nonUtf8.push(`${page.title} (${encoding})`);
+      }
+    }
+    
+    if (counts.size === 0) return;
+    
+    const summary = Array.from(counts, ([encoding, count]) => `${encoding}: ${count}`).join(', ');
+    console.log(`🈶 页面编码 - ${summary}`);
+    if (nonUtf8.length > 0) {
+      console.log(`🈶 非UTF-8页面:\n  ${nonUtf8.join('\n  ')}`);
+      this.updateProgress(`抓取完成，${nonUtf8.length} 个页面按非 UTF-8 编码解码 (${summary})`);
+    }
+  }
+  
+  /**
+   * 非 UTF-8 页面在章节开头注明原页面编码，UTF-8 页面不显示
+   */
+  getEncodingNote(content) {
+    const encoding = ((content && content.encoding) || '').toLowerCase();
+    return encoding && encoding !== 'utf-8' ? `原页面编码: ${encoding.toUpperCase()}` : '';
+  }
+  
+  /**
+   * 以固定数量的工作者并发处理任务，每个工作者完成一个再领取下一个
+   * @param {Array} items - 待处理的任务
+   * @param {number} concurrency - 最大并发数
+   * @param {Function} worker - async (item) => void
+   */
+  async runWorkerPool(items, concurrency, worker) {
+    let nextIndex = 0;
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+      while (nextIndex < items.length) {
+        this.throwIfCancelled();
+        await worker(items[nextIndex++]);
+      }
+    });
+    await Promise.all(workers);
+  }
+  
+  updateFetchProgress(title, stats) {
+    this.updateProgress(`正在抓取: ${title} | 已完成: ${stats.completed}/${this.totalPages} | 进行中: ${stats.inFlight} | 失败: ${stats.failed}`);
+  }
+  
+  /**
+   * 抓取单个章节并生成章节条目
+   * 内容为空或抓取失败时返回占位内容，保持文档结构完整
+   * 条目记录抓取耗时（duration，毫秒），与内容中的状态码、字节数等一起写入抓取报告
+   */
+  async fetchPageEntry(link, index) {
+    const startedAt = Date.now();
+    try {
+      const content = await this.fetchPageContent(link.url);
+      if (content && content.textLength > 0) {
+        console.log(`✅ 成功抓取 [${this.currentProgress}/${this.totalPages}]: ${link.title} (${content.textLength} 字符${content.encoding ? `，编码 ${content.encoding}` : ''})`);
+        return {
+          success: true,
+          entry: {
+            ...link,
+            // sitemap、递归爬取等来源只有推断的标题，抓取后换成页面真实标题
+            title: link.preferPageTitle && content.title ? content.title : link.title,
+            content: content,
+            attempts: content.attempts || 1,
+            duration: Date.now() - startedAt,
+            index: index
+          }
+        };
+      }
+      
+      console.warn(`⚠️ 内容为空 [${this.currentProgress}/${this.totalPages}]: ${link.title}`);
+      const attempts = content?.attempts || 1;
+      const detail = content?.error
+        ? `<p>错误: ${this.escapeHtml(content.error)}（已尝试 ${attempts} 次）</p>`
+        : '';
+      return {
+        success: false,
+        entry: {
+          ...link,
+          content: {
+            // 保留状态码、最终地址等抓取信息，供抓取报告使用
+            ...content,
+            html: `<p>此页面内容无法获取</p>${detail}`,
+            title: link.title,
+            styles: '',
+            textLength: 0,
+            links: content?.links || []
+          },
+          error: content?.error || '内容为空',
+          attempts: attempts,
+          duration: Date.now() - startedAt,
+          index: index
+        }
+      };
+    } catch (error) {
+      if (error.cancelled) throw error;
+      console.error(`❌ 抓取失败 [${this.currentProgress}/${this.totalPages}]: ${link.title}`, error);
+      const attempts = error.attempts || 1;
+      return {
+        success: false,
+        entry: {
+          ...link,
+          content: {
+            html: `<p>页面抓取失败: ${this.escapeHtml(error.message)}${attempts > 1 ? `（已尝试 ${attempts} 次）` : ''}</p>`,
+            title: link.title,
+            styles: '',
+            textLength: 0,
+            links: [],
+            status: error.status
+          },
+          error: error.message,
+          attempts: attempts,
+          duration: Date.now() - startedAt,
+          index: index
+        }
+      };
+    }
+  }
+  
+  /**
+   * 递归链接爬取（广度优先）
+   * 从当前页面出发，逐层跟随抓取范围内的链接，适合内容页之间互相链接、
+   * 但导航菜单不完整的站点
+   * @param {Object} limits - {maxDepth, maxPages}
+   */
+  async crawlSite(limits = {}) {
+    const maxDepth = Number.isFinite(limits.maxDepth) ? limits.maxDepth : 3;
+    const maxPages = Number.isFinite(limits.maxPages) ? limits.maxPages : 100;
+    
+    console.log(`🕸️ 开始递归爬取 (最大深度: ${maxDepth}, 最多页面: ${maxPages})`);
+    
+    this.processedUrls.clear();
+    const contents = [];
+    let failureCount = 0;
+    
+    const fetchedPages = new Map();
+    
+    const startUrl = this.stripUrlFragment(this.getPageUrl());
+    const queue = [{ url: startUrl, title: this.getPageTitle(), level: 1, depth: 0 }];
+    this.processedUrls.add(this.canonicalizeUrl(startUrl));
+    
+    while (queue.length > 0 && contents.length < maxPages) {
+      this.throwIfCancelled();
+      const link = queue.shift();
+      
+      // 爬取中发现的链接不符合 robots.txt 时直接跳过，不生成失败章节
+      if (link.depth > 0 && !(await this.scheduler.isAllowed(link.url))) {
+        console.log(`🤖 robots.txt 禁止抓取，跳过: ${link.url}`);
+        continue;
+      }
+      
+      this.currentProgress = contents.length + 1;
+      this.totalPages = Math.min(maxPages, contents.length + queue.length + 1);
+      
+      this.updateProgress(`正在爬取 (深度 ${link.depth}): ${link.title} (${this.currentProgress}/${this.totalPages}) | 待抓取: ${queue.length}`);
+      
+      const { entry, success } = await this.fetchPageEntry({ ...link, preferPageTitle: link.depth > 0 }, contents.length);
+      if (!success) failureCount++;
+      
+      const duplicate = success ? this.findCanonicalDuplicate(entry, fetchedPages) : null;
+      if (duplicate) {
+        this.mergeDuplicatePage(duplicate, entry);
+        continue;
+      }
+      contents.push(entry);
+      
+      // 从已抓取页面中继续发现链接
+      if (link.depth < maxDepth) {
+        for (const found of entry.content.links || []) {
+          const url = this.stripUrlFragment(found.url);
+          const key = this.canonicalizeUrl(url);
+          if (this.processedUrls.has(key) || !this.isValidDocumentLink(url)) continue;
+          
+          this.processedUrls.add(key);
+          queue.push({
+            url,
+            title: found.title || this.extractor.extractTitleFromURL(url),
+            level: Math.min(link.depth + 2, 6),
+            depth: link.depth + 1
+          });
+        }
+      }
+    }
+    
+    if (queue.length > 0) {
+      console.warn(`⚠️ 已达到页面上限 ${maxPages}，剩余 ${queue.length} 个链接未抓取`);
+    }
+    
+    this.totalPages = contents.length;
+    console.log(`📊 递归爬取完成 - 总计: ${contents.length}, 失败: ${failureCount}`);
+    this.logEncodingSummary(contents);
+    return contents;
+  }
+  
+  /**
+   * 沿“下一页”链接串联抓取
+   * 适用于没有侧边栏、只在页面底部提供“下一页 →”的教程和系列文章。
+   * 从当前页面出发依次跟随下一页，遇到循环、超出抓取范围、找不到下一页或达到页面上限时停止
+   * @param {Object} limits - {maxPages, selectors}
+   */
+  async followNextChain(limits = {}) {
+    const maxPages = Number.isFinite(limits.maxPages) ? limits.maxPages : 100;
+    this.nextSelectors = limits.selectors || [];
+    
+    console.log(`⏭️ 开始沿下一页链接抓取 (最多页面: ${maxPages}${this.nextSelectors.length ? `, 自定义选择器: ${this.nextSelectors.join(', ')}` : ''})`);
+    
+    this.processedUrls.clear();
+    const contents = [];
+    let failureCount = 0;
+    const fetchedPages = new Map();
+    let link = { url: this.stripUrlFragment(this.getPageUrl()), title: this.getPageTitle(), level: 1 };
+    
+    while (link && contents.length < maxPages) {
+      this.throwIfCancelled();
+      this.processedUrls.add(this.canonicalizeUrl(link.url));
+      this.currentProgress = contents.length + 1;
+      this.totalPages = maxPages; // 总页数未知，以上限作为进度基准
+      
+      this.updateProgress(`正在抓取第 ${this.currentProgress} 页 (上限 ${maxPages}): ${link.title}`);
+      
+      const { entry, success } = await this.fetchPageEntry({ ...link, preferPageTitle: contents.length > 0 }, contents.length);
+      if (!success) failureCount++;
+      
+      const duplicate = success ? this.findCanonicalDuplicate(entry, fetchedPages) : null;
+      if (duplicate) {
+        this.mergeDuplicatePage(duplicate, entry);
+      } else {
+        contents.push(entry);
+      }
+      
+      const nextUrl = entry.content.nextUrl ? this.stripUrlFragment(entry.content.nextUrl) : null;
+      link = null;
+      
+      if (!nextUrl) {
+        console.log(`🏁 未找到下一页链接，串联结束: ${entry.title}`);
+      } else if (this.processedUrls.has(this.canonicalizeUrl(nextUrl))) {
+        console.log(`🔁 下一页指向已抓取的页面，停止以避免循环: ${nextUrl}`);
+      } else if (!this.isValidDocumentLink(nextUrl)) {
+        console.log(`🚧 下一页超出抓取范围，串联结束: ${nextUrl}`);
+      } else if (contents.length >= maxPages) {
+        console.warn(`⚠️ 已达到页面上限 ${maxPages}，后续页面未抓取: ${nextUrl}`);
+      } else if (!(await this.scheduler.isAllowed(nextUrl))) {
+        console.log(`🤖 robots.txt 禁止抓取下一页，串联结束: ${nextUrl}`);
+      } else {
+        link = { url: nextUrl, title: this.extractor.extractTitleFromURL(nextUrl), level: 1 };
+      }
+    }
+    
+    this.totalPages = contents.length;
+    console.log(`📊 下一页串联抓取完成 - 总计: ${contents.length}, 失败: ${failureCount}`);
+    this.logEncodingSummary(contents);
+    return contents;
+  }
+  
   /**
-   * 批量抓取页面内容
+   * 查找页面的“下一页”链接
+   * 依次尝试：自定义选择器 → rel="next" → 常见文档主题的翻页按钮 → 链接文字
    */
-  async batchFetchPages(pageLinks) {
-    const contents = [];
-    let successCount = 0;
-    let failureCount = 0;
+  findNextPageUrl(doc, baseUrl) {
+    const selectors = [
+      ...this.nextSelectors,
+      'link[rel~="next"]',
+      'a[rel~="next"]',
+      '.pagination-nav__link--next',   // Docusaurus
+      '.md-footer__link--next',        // MkDocs Material
+      '.pager-link.next',              // VitePress
+      '.nav-chapters.next',            // mdBook
+      '.page-nav .next a',             // VuePress
+      '.navigation-next',              // GitBook
+      '.pagination .next a',
+      '.nav-next a',
+      'a.next'
+    ];
     
-    for (let i = 0; i < pageLinks.length; i++) {
-      const link = pageLinks[i];
-      this.currentProgress = i + 1;
-      
-      this.updateProgress(`正在抓取: ${link.title} (${this.currentProgress}/${this.totalPages})`);
-      
+    for (const selector of selectors) {
+      let element = null;
       try {
-        const content = await this.fetchPageContent(link.url);
-        if (content && content.textLength > 0) {
-          contents.push({
-            ...link,
-            content: content,
-            index: i
-          });
-          successCount++;
-          console.log(`✅ 成功抓取 [${this.currentProgress}/${this.totalPages}]: ${link.title} (${content.textLength} 字符)`);
-        } else {
-          console.warn(`⚠️ 内容为空 [${this.currentProgress}/${this.totalPages}]: ${link.title}`);
-          failureCount++;
-          // 即使内容为空也添加占位，保持文档结构完整
-          contents.push({
-            ...link,
-            content: {
-              html: '<p>此页面内容无法获取</p>',
-              title: link.title,
-              styles: '',
-              textLength: 0
-            },
-            index: i
-          });
-        }
-      } catch (error) {
-        console.error(`❌ 抓取失败 [${this.currentProgress}/${this.totalPages}]: ${link.title}`, error);
-        failureCount++;
-        // 添加错误占位内容
-        contents.push({
-          ...link,
-          content: {
-            html: `<p>页面抓取失败: ${error.message}</p>`,
-            title: link.title,
-            styles: '',
-            textLength: 0
-          },
-          index: i
-        });
+        element = doc.querySelector(selector);
+      } catch (e) {
+        console.warn(`无效的下一页选择器: ${selector}`);
+        continue;
       }
       
-      // 更新进度显示成功/失败统计
-      this.updateProgress(`正在抓取: ${link.title} (${this.currentProgress}/${this.totalPages}) | 成功: ${successCount} | 失败: ${failureCount}`);
-      
-      // 避免请求过于频繁
-      await this.delay(300);
+      const anchor = element && (element.matches('[href]') ? element : element.querySelector('[href]'));
+      const href = anchor && anchor.getAttribute('href');
+      if (href && !href.startsWith('#')) {
+        try {
+          return new URL(href, baseUrl).href;
+        } catch (e) {
+          // 忽略无法解析的链接，继续尝试下一个选择器
+        }
+      }
     }
     
-    console.log(`📊 批量抓取完成 - 总计: ${this.totalPages}, 成功: ${successCount}, 失败: ${failureCount}`);
-    return contents;
+    // 最后按链接文字匹配“下一页 / Next →”
+    const nextTextPattern = /^(下一(页|篇|章|节)|next(\s+(page|chapter|post|article|section))?)\s*(»|›|→|>)?$/i;
+    for (const anchor of doc.querySelectorAll('a[href]')) {
+      const text = anchor.textContent.replace(/\s+/g, ' ').trim();
+      const href = anchor.getAttribute('href');
+      if (!href.startsWith('#') && nextTextPattern.test(text)) {
+        try {
+          return new URL(href, baseUrl).href;
+        } catch (e) {
+          // 忽略无法解析的链接
+        }
+      }
+    }
+    
+    return null;
   }
   
   /**
-   * 抓取单个页面内容
+   * 去掉URL中的锚点，同一页面的不同锚点视为同一页面
    */
-  async fetchPageContent(url) {
+  stripUrlFragment(url) {
     try {
-      // 如果是当前页面，直接提取内容
-      if (url === window.location.href) {
-        return this.extractCurrentPageContent();
-      }
-      
-      // 使用fetch方式抓取其他页面
-      return await this.fetchPageViaFetch(url);
-      
-    } catch (error) {
-      console.error(`抓取页面内容失败: ${url}`, error);
-      throw error;
+      const urlObj = new URL(url, this.getPageUrl());
+      urlObj.hash = '';
+      return urlObj.href;
+    } catch {
+      return url;
     }
   }
   
   /**
-   * 通过fetch抓取页面内容（替代iframe方式）
+   * 生成用于去重的规范化URL
+   * - 去掉锚点和常见的跟踪参数（utm_*、gclid、fbclid 等）
+   * - page/index.html、page/ 和 page 视为同一页面
+   * 只作为页面身份的比较键，实际抓取仍使用原始链接，避免相对路径解析出错
    */
-  async fetchPageViaFetch(url) {
+  canonicalizeUrl(url) {
+    let urlObj;
     try {
-      console.log(`🔄 使用fetch加载页面: ${url}`);
-      
-      // 使用fetch获取页面HTML
-      const response = await fetch(url, {
-        method: 'GET',
-        mode: 'cors',
-        credentials: 'omit',
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'User-Agent': navigator.userAgent
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      urlObj = new URL(url, this.getPageUrl());
+    } catch {
+      return url;
+    }
+    
+    urlObj.hash = '';
+    
+    const trackingParams = /^(utm_\w+|gclid|dclid|fbclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|spm|ref_src)$/i;
+    for (const name of [...urlObj.searchParams.keys()]) {
+      if (trackingParams.test(name)) {
+        urlObj.searchParams.delete(name);
       }
-      
-      const htmlText = await response.text();
-      console.log(`📄 成功获取页面HTML: ${url} (${htmlText.length} 字符)`);
-      
-      // 解析HTML内容
-      const content = this.parseHTMLContent(htmlText, url);
-      console.log(`✅ 解析完成: ${content.title} (${content.textLength} 字符)`);
-      
-      return content;
-      
-    } catch (error) {
-      console.warn(`⚠️ Fetch方式失败: ${url}`, error);
-      
-      // 如果fetch失败，尝试通过background script代理
-      return await this.fetchPageViaBackground(url);
     }
+    
+    urlObj.pathname = urlObj.pathname
+      .replace(/\/(index|default)\.(html?|php|shtml|aspx?)$/i, '/')
+      .replace(/(.)\/+$/, '$1');
+    
+    return urlObj.href;
   }
-
+  
   /**
-   * 通过background script获取页面内容
+   * 按页面声明的 <link rel="canonical"> 判断是否与已抓取的页面重复
+   * 只有规范地址指向已抓取的页面、且正文长度基本一致时才视为重复，
+   * 避免所有页面都把 canonical 错误地指向首页的站点被整体去重
+   * @param {Object} entry - 刚抓取的章节条目
+   * @param {Map} fetchedPages - 规范化URL -> 已抓取的章节条目
+   * @returns {Object|null} 重复时返回已存在的章节条目
    */
-  async fetchPageViaBackground(url) {
-    try {
-      console.log(`🔄 使用background代理获取: ${url}`);
-      
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'fetchPage',
-          url: url
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          
-          if (response && response.success) {
-            const content = this.parseHTMLContent(response.html, url);
-            resolve(content);
-          } else {
-            reject(new Error(response?.error || 'Background fetch failed'));
-          }
-        });
-      });
-      
-    } catch (error) {
-      console.error(`❌ Background代理也失败: ${url}`, error);
+  findCanonicalDuplicate(entry, fetchedPages) {
+    const content = entry.content || {};
+    const keys = [this.canonicalizeUrl(entry.url)];
+    if (content.canonicalUrl) {
+      keys.push(this.canonicalizeUrl(content.canonicalUrl));
+    }
+    
+    for (const key of keys) {
+      const existing = fetchedPages.get(key);
+      if (!existing || existing === entry) continue;
       
-      // 返回占位内容，避免中断整个流程
-      return {
-        html: `<div class="fetch-error">
-          <h3>页面获取失败</h3>
-          <p>URL: ${url}</p>
-          <p>错误: ${error.message}</p>
-          <p>可能原因: 网站禁止跨域访问或网络问题</p>
-        </div>`,
-        title: '页面获取失败',
-        styles: '',
-        textLength: 0
-      };
+      const existingLength = existing.content ? existing.content.textLength : 0;
+      const lengthDiff = Math.abs(existingLength - (content.textLength || 0));
+      if (lengthDiff <= Math.max(existingLength, content.textLength || 0) * 0.05) {
+        return existing;
+      }
     }
+    
+    keys.forEach(key => {
+      if (!fetchedPages.has(key)) fetchedPages.set(key, entry);
+    });
+    return null;
   }
-
+  
   /**
-   * 解析HTML文本内容
+   * 合并 canonical 重复的章节：不再单独成章，锚点并入已有章节作为子书签
    */
-  parseHTMLContent(htmlText, sourceUrl) {
-    try {
-      // 创建一个临时的DOM解析器
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(htmlText, 'text/html');
-      
-      // 修复相对URL为绝对URL
-      this.fixRelativeURLs(doc, sourceUrl);
-      
-      // 使用相同的内容提取逻辑
-      const contentSelectors = [
-        '.markdown-body',  // GitHub Pages 和 GitBook 常用
-        '.content',
-        'main',
-        'article', 
-        '.main-content',
-        '.doc-content',
-        '.post-content',
-        '#content',
-        '.container .row',  // Bootstrap 布局
-        '.container'
-      ];
-      
-      let mainContent = null;
-      let bestMatch = null;
-      let maxContentLength = 0;
-      
-      // 找到内容最多的元素作为主内容
-      for (const selector of contentSelectors) {
-        const elements = doc.querySelectorAll(selector);
-        for (const element of elements) {
-          const textLength = element.textContent.trim().length;
-          if (textLength > maxContentLength && textLength > 100) {
-            maxContentLength = textLength;
-            bestMatch = element;
-          }
-        }
+  mergeDuplicatePage(existing, duplicate) {
+    console.log(`🔗 ${duplicate.url} 与已抓取的 ${existing.url} 是同一页面，合并为一个章节`);
+    existing.mergedUrls = [...(existing.mergedUrls || []), duplicate.url]; // 写入抓取报告
+    
+    this.addPageAnchor(existing, duplicate.url, duplicate.title);
+    (duplicate.anchors || []).forEach(anchor => {
+      existing.anchors = existing.anchors || [];
+      if (!existing.anchors.some(item => item.id === anchor.id)) {
+        existing.anchors.push(anchor);
       }
-      
-      mainContent = bestMatch;
-      
-      // 如果还是没找到，尝试找到最大的 div
-      if (!mainContent) {
-        const divs = doc.querySelectorAll('div');
-        for (const div of divs) {
-          const textLength = div.textContent.trim().length;
-          if (textLength > maxContentLength && textLength > 200) {
-            maxContentLength = textLength;
-            mainContent = div;
-          }
-        }
+    });
+  }
+  
+  /**
+   * 抓取单个页面内容
+   */
+  async fetchPageContent(url) {
+    try {
+      // 起始页面直接使用从实时DOM提取的内容
+      if (this.canonicalizeUrl(url) === this.canonicalizeUrl(this.getPageUrl())) {
+        return this.getStartPageContent();
       }
       
-      if (!mainContent) {
-        console.warn('未找到主内容区域，使用body');
-        mainContent = doc.body;
+      if (!(await this.scheduler.isAllowed(url))) {
+        throw new Error('robots.txt 禁止抓取此页面');
       }
       
-      // 克隆并清理内容
-      const cloned = mainContent.cloneNode(true);
-      this.cleanupContent(cloned);
+      const content = this.fetchMode === 'render'
+        ? await this.fetchPageViaRender(url)
+        : await this.fetchStaticPage(url);
       
-      // 清理标题中的多余符号
-      this.cleanupTitles(cloned);
-      
-      const result = {
-        html: cloned.outerHTML,
-        title: this.cleanTitle(doc.title || this.extractTitleFromURL(sourceUrl)),
-        styles: this.extractStylesFromParsedDocument(doc, sourceUrl),
-        textLength: cloned.textContent.trim().length
-      };
+      // 登录页不是文档内容，作为失败处理
+      if (content.loginPage) {
+        const error = new Error(`需要登录: ${content.loginPage}${this.canSendCredentials(url) ? '' : '（可在“登录状态”设置中允许该站点使用你的登录状态）'}`);
+        error.loginRequired = true;
+        throw error;
+      }
       
-      return result;
+      return content;
       
     } catch (error) {
-      console.error('HTML解析失败:', error);
-      
-      return {
-        html: `<div class="parse-error">
-          <h3>HTML解析失败</h3>
-          <p>URL: ${sourceUrl}</p>
-          <p>错误: ${error.message}</p>
-        </div>`,
-        title: 'HTML解析失败',
-        styles: '',
-        textLength: 0
-      };
+      if (!error.cancelled) {
+        console.error(`抓取页面内容失败: ${url}`, error);
+      }
+      throw error;
     }
   }
-
+  
   /**
-   * 清理标题中的多余符号
+   * 抓取静态HTML；自动模式下内容过少时改用渲染模式
    */
-  cleanupTitles(element) {
-    try {
-      // 处理所有标题元素
-      const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
-      headings.forEach(heading => {
-        const text = heading.textContent || heading.innerText;
-        if (text) {
-          // 移除开头和结尾的#号和空白字符
-          const cleanText = text.replace(/^#+\s*/, '').replace(/\s*#+\s*$/, '').trim();
-          heading.textContent = cleanText;
-        }
-      });
-      
-      // 处理可能的markdown残留
-      const allElements = element.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.children.length === 0) { // 只处理叶子节点
-          const text = el.textContent;
-          if (text && text.includes('#')) {
-            // 移除单独出现的#号
-            const cleanText = text.replace(/^#+\s+/, '').replace(/\s+#+\s*$/, '');
-            if (cleanText !== text) {
-              el.textContent = cleanText;
-            }
-          }
+  async fetchStaticPage(url) {
+    // 启用缓存时经后台获取：缓存保存在扩展的 IndexedDB 中，未修改的页面由服务器返回 304
+    // 持久缓存不保存登录后才能看到的内容，后台请求因此固定不带 Cookie；需要登录状态的页面直接携带 Cookie 抓取，不经过缓存
+    const content = this.config.get('cache.enabled') && !this.canSendCredentials(url)
+      ? await this.fetchPageViaBackground(url)
+      : await this.fetchPageViaFetch(url);
+    
+    // 静态HTML几乎没有正文时，多半是需要JavaScript渲染的单页应用
+    const MIN_STATIC_TEXT_LENGTH = 200;
+    if (this.fetchMode === 'auto' && content.textLength < MIN_STATIC_TEXT_LENGTH) {
+      console.log(`🖥️ 静态内容过少 (${content.textLength} 字符)，改用渲染模式: ${url}`);
+      try {
+        const rendered = await this.fetchPageViaRender(url);
+        if (rendered.textLength > content.textLength) {
+          rendered.warnings = [...(rendered.warnings || []), `静态内容过少 (${content.textLength} 字符)，改用渲染模式`];
+          return rendered;
         }
-      });
-      
-    } catch (error) {
-      console.warn('清理标题失败:', error);
+        content.warnings = [...(content.warnings || []), '渲染模式内容不比静态内容多，使用静态内容'];
+      } catch (error) {
+        if (error.cancelled) throw error;
+        console.warn(`⚠️ 渲染失败，使用静态内容: ${url}`, error);
+        content.warnings = [...(content.warnings || []), `渲染失败，使用静态内容: ${error.message}`];
+      }
     }
-  }
-
-  /**
-   * 清理标题文本
-   */
-  cleanTitle(title) {
-    if (!title) return '未命名页面';
     
-    return title
-      .replace(/^#+\s*/, '')      // 移除开头的#号
-      .replace(/\s*#+\s*$/, '')   // 移除结尾的#号
-      .replace(/\s*#\s*$/, '')    // 移除单个#号
-      .trim();
+    return content;
   }
-
+  
   /**
-   * 修复相对URL为绝对URL
+   * 通过fetch抓取页面内容（替代iframe方式）
    */
-  fixRelativeURLs(doc, baseUrl) {
+  async fetchPageViaFetch(url) {
+    let attempts = 0;
     try {
-      const base = new URL(baseUrl);
-      
-      // 修复图片src
-      const images = doc.querySelectorAll('img[src]');
-      images.forEach(img => {
-        const src = img.getAttribute('src');
-        if (src && !src.startsWith('http')) {
-          try {
-            img.src = new URL(src, base).href;
-          } catch (e) {
-            console.warn('无法修复图片URL:', src);
+      console.log(`🔄 使用fetch加载页面: ${url}`);
+      
+      // 使用fetch获取页面HTML（按主机限速，超时、5xx、429 时退避重试）
+      const page = await this.retry.execute(async (attempt) => {
+        attempts = attempt;
+        return await this.scheduler.run(url, () => this.fetchWithTimeout(url, {
+          method: 'GET',
+          mode: 'cors',
+          // 只有用户允许的站点才携带 Cookie
+          credentials: this.canSendCredentials(url) ? 'include' : 'omit',
+          headers: {
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'User-Agent': navigator.userAgent
           }
-        }
+        }, response => {
+          if (!response.ok) {
+            throw RetryManager.createHttpError(response.status, response.statusText, response.headers.get('Retry-After'));
+          }
+          // 从原始字节识别编码后解码，response.text() 总是按 UTF-8 解码
+          return response.arrayBuffer().then(buffer => ({
+            ...CharsetDecoder.decode(buffer, response.headers.get('Content-Type')),
+            finalUrl: response.url || url,
+            status: response.status,
+            bytes: buffer.byteLength
+          }));
+        }));
+      }, {
+        description: `获取页面 ${url}`,
+        shouldRetry: RetryManager.isRetryableError,
+        signal: this.abortController?.signal
       });
       
-      // 修复链接href
-      const links = doc.querySelectorAll('a[href]');
-      links.forEach(link => {
-        const href = link.getAttribute('href');
-        if (href && !href.startsWith('http') && !href.startsWith('#')) {
-          try {
-            link.href = new URL(href, base).href;
-          } catch (e) {
-            console.warn('无法修复链接URL:', href);
-          }
-        }
+      console.log(`📄 成功获取页面HTML: ${url} (${page.text.length} 字符，编码 ${page.encoding}，来自 ${page.source})`);
+      
+      // 解析HTML内容
+      const content = this.parseHTMLContent(page.text, page.finalUrl, url);
+      Object.assign(content, {
+        encoding: page.encoding,
+        attempts: attempts,
+        source: 'fetch',
+        finalUrl: page.finalUrl,
+        status: page.status,
+        bytes: page.bytes
       });
+      console.log(`✅ 解析完成: ${content.title} (${content.textLength} 字符)`);
       
-      // 修复CSS背景图片等（如果需要的话）
+      return content;
       
     } catch (error) {
-      console.warn('URL修复失败:', error);
+      if (error.cancelled) throw error;
+      console.warn(`⚠️ Fetch方式失败: ${url}`, error);
+      
+      // 服务器错误和超时已经重试过，换成background代理也不会成功
+      if (RetryManager.isRetryableError(error)) {
+        throw error;
+      }
+      
+      // 如果fetch失败（多为跨域限制），尝试通过background script代理
+      const content = await this.fetchPageViaBackground(url);
+      content.warnings = [...(content.warnings || []), `fetch失败，改用后台代理: ${error.message}`];
+      return content;
     }
   }
 
   /**
-   * 从URL提取标题
+   * 通过background script获取原始文本（HTML、XML等，不做解析）
+   * 后台的 fetchPage 自身会重试；失败时抛出的错误带有 status 和 attempts
    */
-  extractTitleFromURL(url) {
-    try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-      const segments = pathname.split('/').filter(s => s.length > 0);
-      const lastSegment = segments[segments.length - 1];
-      
-      // 移除文件扩展名并解码
-      const title = decodeURIComponent(lastSegment.replace(/\.[^/.]+$/, ""));
-      return title || '未命名页面';
-    } catch (error) {
-      return '未命名页面';
-    }
+  async fetchRawViaBackground(url) {
+    const response = await this.fetchBackgroundResponse(url);
+    return response.html;
   }
-
+  
   /**
-   * 从解析的文档中提取样式
+   * 通过background script获取页面，返回后台的完整响应 {html, finalUrl, attempts, ...}
    */
-  extractStylesFromParsedDocument(doc, baseUrl) {
-    let styles = '';
-    
-    try {
-      // 基础样式，特别关注代码块
-      styles += `
-        /* 基础样式重置和文档样式 */
-        * { box-sizing: border-box; }
-        body { 
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; 
-          line-height: 1.6; 
-          margin: 0; 
-          padding: 20px; 
-        }
-        
-        /* 代码块样式优化 */
-        pre {
-          position: relative;
-          background: #f8f8f8;
-          border: 1px solid #e1e4e8;
-          border-radius: 6px;
-          font-size: 85%;
-          line-height: 1.45;
-          overflow: auto;
-          padding: 16px;
-          margin: 1em 0;
-        }
-        
-        code {
-          background: rgba(175,184,193,0.2);
-          padding: 0.2em 0.4em;
-          border-radius: 6px;
-          font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, Courier, monospace;
-          font-size: 85%;
-        }
-        
-        pre code {
-          background: transparent;
-          border: 0;
-          display: inline;
-          max-width: auto;
-          padding: 0;
-          margin: 0;
-          overflow: visible;
-          line-height: inherit;
-          word-wrap: normal;
-        }
-        
-        /* 行号样式 */
-        .highlight pre,
-        .codehilite pre,
-        .highlight-pre {
-          position: relative;
-          counter-reset: line;
-        }
-        
-        .highlight pre code .line,
-        .codehilite pre code .line,
-        .highlight-pre code .line {
-          counter-increment: line;
-          position: relative;
-          display: block;
-        }
-        
-        .highlight pre code .line:before,
-        .codehilite pre code .line:before,
-        .highlight-pre code .line:before {
-          counter-increment: line;
-          content: counter(line);
-          position: absolute;
-          left: -50px;
-          top: 0;
-          width: 40px;
-          text-align: right;
-          color: #999;
-          border-right: 1px solid #ddd;
-          padding-right: 8px;
-          user-select: none;
-        }
-        
-        /* GitHub风格代码块 */
-        .highlight .lineno,
-        .codehilite .lineno,
-        .linenodiv pre {
-          color: #999;
-          border-right: 1px solid #ddd;
-          padding-right: 8px;
-          margin-right: 8px;
-          user-select: none;
-        }
-        
-        /* Prism.js样式支持 */
-        .line-numbers .line-numbers-rows {
-          position: absolute;
-          pointer-events: none;
-          top: 0;
-          font-size: 100%;
-          left: -3.8em;
-          width: 3em;
-          letter-spacing: -1px;
-          border-right: 1px solid #999;
-          user-select: none;
-        }
-        
-        .line-numbers .line-numbers-rows > span {
-          pointer-events: none;
-          display: block;
-          counter-increment: linenumber;
-        }
-        
-        .line-numbers .line-numbers-rows > span:before {
-          content: counter(linenumber);
-          color: #999;
-          display: block;
-          padding-right: 0.8em;
-          text-align: right;
-        }
-        
-        /* 纯文本行号样式 - 最简单方法，行号和代码在同一行 */
-        .line-numbers-simple-fixed {
-          font-family: "SFMono-Regular", Consolas, "Liberation Mono", Menlo, Courier, monospace !important;
-          white-space: pre !important;
-          overflow-x: auto;
-          background: #f8f9fa;
-          border: 1px solid #e9ecef;
-          border-radius: 4px;
-          padding: 12px;
-          line-height: 1.4;
-          font-size: 14px;
-          color: #212529;
-        }
-        
-        .line-numbers-simple-fixed code {
-          white-space: pre !important;
-          display: block !important;
-          padding: 0 !important;
-          background: transparent !important;
-          font-family: inherit !important;
-          font-size: inherit !important;
-          color: inherit !important;
-          line-height: inherit !important;
-        }
-        
-        /* 修复分离的行号 */
-        .has-line-numbers {
-          position: relative;
-          display: flex !important;
-          align-items: stretch;
-        }
-        
-        .has-line-numbers .line-numbers-rows,
-        .has-line-numbers .linenodiv {
-          flex-shrink: 0 !important;
-          min-width: 3em !important;
-          text-align: right !important;
-          padding-right: 8px !important;
-          border-right: 1px solid #ddd !important;
-          color: #666 !important;
-          user-select: none !important;
-          background: #f8f9fa !important;
-          margin-right: 8px !important;
-        }
-        
-        .has-line-numbers pre,
-        .has-line-numbers code {
-          flex: 1 !important;
-          margin: 0 !important;
-          padding-left: 0 !important;
-          overflow: auto !important;
-        }
-      `;
+  async fetchBackgroundResponse(url) {
+    const response = await this.scheduler.run(url, () => this.sendRuntimeMessage({
+      action: 'fetchPage',
+      url: url
+    }));
+    
+    if (!response.success) {
+      const error = new Error(response.error || 'Background fetch failed');
+      error.status = response.status;
+      error.timeout = response.timeout;
+      error.attempts = response.attempts;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * 通过background script获取页面内容
+   */
+  async fetchPageViaBackground(url) {
+    try {
+      console.log(`🔄 使用background代理获取: ${url}`);
       
-      // 提取内联样式
-      const styleTags = doc.querySelectorAll('style');
-      styleTags.forEach(style => {
-        const content = style.textContent;
-        if (content && !content.includes('@import')) {
-          styles += content + '\n';
+      // 后台已对网络请求重试过（error.attempts），这里只重试消息通道本身的超时
+      const response = await this.retry.execute(
+        () => this.fetchBackgroundResponse(url),
+        {
+          description: `background代理获取 ${url}`,
+          shouldRetry: error => !error.attempts && RetryManager.isRetryableError(error),
+          signal: this.abortController?.signal
         }
-      });
+      );
       
-      // 提取link标签中的CSS（需要转换为绝对URL）
-      const linkTags = doc.querySelectorAll('link[rel="stylesheet"]');
-      linkTags.forEach(link => {
-        const href = link.href;
-        if (href) {
-          try {
-            const absoluteUrl = new URL(href, baseUrl).href;
-            styles += `@import url("${absoluteUrl}");\n`;
-          } catch (e) {
-            console.warn('无法处理CSS链接:', href);
-          }
-        }
+      const content = this.parseHTMLContent(response.html, response.finalUrl || url, url);
+      Object.assign(content, {
+        encoding: response.encoding,
+        attempts: response.attempts,
+        source: 'background',
+        finalUrl: response.finalUrl || url,
+        status: response.status,
+        bytes: response.bytes,
+        fromCache: response.fromCache
       });
+      return content;
       
     } catch (error) {
-      console.warn('样式提取失败:', error);
-    }
-    
-    return styles;
-  }
-  
-  cleanupContent(element) {
-    // 更精确的清理 - 只移除明确不需要的元素
-    const unwantedSelectors = [
-      'script', 
-      'style',
-      '.ads', 
-      '.advertisement', 
-      '.social-share',
-      '.comments',
-      '.popup', 
-      '.modal', 
-      '.overlay',
-      '.sidebar-toggle',  // 移动端侧边栏开关
-      '.search-box',      // 搜索框
-      '.edit-page'        // 编辑页面链接
-    ];
-    
-    // 不要移除 nav 和 .sidebar，因为它们可能包含重要的文档结构
-    // 只移除明确的广告和不相关元素
+      if (error.cancelled) throw error;
+      console.error(`❌ Background代理也失败: ${url}`, error);
+      
+      // 返回占位内容，避免中断整个流程
+      return {
+        html: `<div class="fetch-error">
+          <h3>页面获取失败</h3>
+          <p>URL: ${url}</p>
+          <p>错误: ${error.message}</p>
+          <p>可能原因: 网站禁止跨域访问或网络问题</p>
+        </div>`,
+        title: '页面获取失败',
+        styles: '',
+        textLength: 0,
+        error: error.message,
+        attempts: error.attempts || 1,
+        status: error.status
+      };
+    }
+  }
+
+  /**
+   * 在后台隐藏标签页中渲染页面，等待JavaScript生成内容后再解析
+   */
+  async fetchPageViaRender(url) {
+    console.log(`🖥️ 使用渲染模式加载: ${url}`);
     
-    unwantedSelectors.forEach(selector => {
-      const elements = element.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
+    const response = await this.sendRuntimeMessage({
+      action: 'renderPage',
+      url: url,
+      options: { waitSelector: this.renderWaitSelector }
     });
     
-    // 处理代码块行号问题
-    this.fixCodeLineNumbers(element);
+    if (!response.success) {
+      throw new Error(response.error || '页面渲染失败');
+    }
     
-    // 移除空的元素（但保留有意义的空白）
-    const emptyElements = element.querySelectorAll('*');
-    emptyElements.forEach(el => {
-      if (el.children.length === 0 && 
-          el.textContent.trim() === '' && 
-          !['img', 'br', 'hr', 'input'].includes(el.tagName.toLowerCase())) {
-        el.remove();
-      }
+    const content = this.parseHTMLContent(response.html, response.url || url, url);
+    // 渲染模式由浏览器按页面声明解码，取回的是渲染后的DOM，没有状态码和原始字节数
+    Object.assign(content, {
+      encoding: response.encoding,
+      source: 'render',
+      finalUrl: response.url || url
     });
+    return content;
   }
 
   /**
-   * 修复代码块的行号显示问题 - 完全重构版本
+   * 解析HTML文本内容
+   * @param {string} sourceUrl - 页面的最终地址（重定向之后）
+   * @param {string} requestedUrl - 请求的地址，用于识别被重定向到登录页
    */
-  fixCodeLineNumbers(element) {
+  parseHTMLContent(htmlText, sourceUrl, requestedUrl = sourceUrl) {
     try {
-      console.log('🔧 开始修复代码行号 - 完全重构版本...');
+      // 创建一个临时的DOM解析器
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(htmlText, 'text/html');
       
-      // 1. 首先移除所有可能的行号元素
-      this.removeAllLineNumbers(element);
+      // 清理内容前检查是否是登录页（清理会移除表单）
+      const loginPage = this.detectLoginPage(doc, sourceUrl, requestedUrl);
       
-      // 2. 然后重新处理所有代码块
-      this.addSimpleLineNumbers(element);
+      // 与当前页面使用同一个提取模块
+      const extracted = this.extractor.extract(doc, { url: sourceUrl, rule: this.getSiteRule(sourceUrl) });
       
-      console.log('✅ 代码行号修复完成');
+      return {
+        ...extracted,
+        links: this.extractLinksFromDocument(doc, sourceUrl),
+        nextUrl: this.findNextPageUrl(doc, sourceUrl),
+        canonicalUrl: extracted.metadata.canonicalUrl,
+        loginPage: loginPage
+      };
       
     } catch (error) {
-      console.error('❌ 修复代码行号失败:', error);
+      console.error('HTML解析失败:', error);
+      
+      return {
+        html: `<div class="parse-error">
+          <h3>HTML解析失败</h3>
+          <p>URL: ${sourceUrl}</p>
+          <p>错误: ${error.message}</p>
+        </div>`,
+        title: 'HTML解析失败',
+        styles: '',
+        metadata: {},
+        textLength: 0,
+        confidence: 0,
+        warnings: [`HTML解析失败: ${error.message}`]
+      };
     }
   }
 
   /**
-   * 移除所有可能的行号相关元素
-   */
-  removeAllLineNumbers(element) {
-    console.log('🧹 清理所有行号元素...');
-    
-    // 移除常见的行号相关类和元素
-    const lineNumberSelectors = [
-      '.line-number',
-      '.line-numbers',
-      '.lineno',
-      '.linenos',
-      '.ln',
-      '.gutter',
-      '.line-numbers-rows',
-      '.hljs-ln-numbers',
-      '.hljs-ln-line',
-      '.rouge-gutter',
-      '.highlight .gutter',
-      '.codehilite .gutter'
-    ];
-    
-    lineNumberSelectors.forEach(selector => {
-      const elements = element.querySelectorAll(selector);
-      elements.forEach(el => {
-        console.log(`移除行号元素: ${selector}`);
-        el.remove();
-      });
-    });
-    
-    // 移除可能的行号表格结构
-    const tables = element.querySelectorAll('table.highlight, table.codehilitetable');
-    tables.forEach(table => {
-      const code = table.querySelector('pre, code');
-      if (code) {
-        console.log('移除表格结构，保留代码');
-        table.parentNode.insertBefore(code, table);
-        table.remove();
-      }
-    });
-    
-    console.log('✅ 清理完成');
-  }
-
-  /**
-   * 添加简单的行号
+   * 识别登录页：未登录访问受保护的文档时，服务器通常重定向到登录地址或直接返回登录表单
+   * @returns {string|null} 识别为登录页的原因
    */
-  addSimpleLineNumbers(element) {
-    console.log('📝 添加简单行号...');
-    
-    // 查找所有真正的代码块
-    const codeBlocks = this.findAllCodeBlocks(element);
+  detectLoginPage(doc, pageUrl, requestedUrl = pageUrl) {
+    const LOGIN_PATH = /\/(login|log-in|signin|sign-in|sso|oauth2?|saml2?|cas|authorize|auth\/realms|session\/new|users?\/sign_in|accounts?\/login)(\/|\?|\.|$)/i;
+    const LOGIN_TEXT = /登录|登入|log\s?in|sign\s?in|single sign-on|authenticate/i;
     
-    console.log(`找到 ${codeBlocks.length} 个代码块`);
+    let path = '';
+    try {
+      const urlObj = new URL(pageUrl);
+      path = urlObj.pathname + urlObj.search;
+    } catch (e) {
+      // 无法解析时只根据页面内容判断
+    }
     
-    codeBlocks.forEach((block, index) => {
-      try {
-        const textContent = this.extractCleanCodeText(block);
-        
-        if (!textContent || textContent.trim().length < 10) {
-          console.log(`跳过代码块 ${index + 1}: 内容太短`);
-          return;
-        }
-        
-        const lines = textContent.split('\n');
-        if (lines.length < 2) {
-          console.log(`跳过代码块 ${index + 1}: 行数太少`);
-          return;
-        }
-        
-        console.log(`处理代码块 ${index + 1}: ${lines.length} 行`);
-        
-        // 构建带行号的内容
-        let numberedContent = '';
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          
-          // 跳过最后的空行
-          if (i === lines.length - 1 && line.trim() === '') {
-            continue;
-          }
-          
-          const lineNum = (i + 1).toString().padStart(3, ' ');
-          numberedContent += lineNum + '  ' + line;
-          
-          if (i < lines.length - 1) {
-            numberedContent += '\n';
-          }
-        }
-        
-        // 应用到代码块
-        block.textContent = numberedContent;
-        block.classList.add('line-numbers-simple-fixed');
-        
-        console.log(`✅ 代码块 ${index + 1} 处理完成`);
-        
-      } catch (error) {
-        console.error(`处理代码块 ${index + 1} 失败:`, error);
-      }
-    });
-  }
-
-  /**
-   * 查找所有真正的代码块
-   */
-  findAllCodeBlocks(element) {
-    const blocks = [];
+    const redirected = this.stripUrlFragment(pageUrl) !== this.stripUrlFragment(requestedUrl);
+    if (redirected && LOGIN_PATH.test(path)) {
+      return `被重定向到登录页 ${pageUrl}`;
+    }
     
-    // 优先查找 pre > code 结构
-    const preWithCode = element.querySelectorAll('pre code');
-    preWithCode.forEach(code => {
-      if (!this.isInsideProcessedBlock(code, blocks)) {
-        blocks.push(code);
-      }
-    });
+    // 没有包含密码框的表单的页面不是登录表单
+    const passwordField = doc.querySelector('form input[type="password"]');
+    if (!passwordField) return null;
     
-    // 然后查找单独的 pre 元素
-    const preElements = element.querySelectorAll('pre');
-    preElements.forEach(pre => {
-      // 如果 pre 里没有 code，且不在已处理列表中
-      if (!pre.querySelector('code') && !this.isInsideProcessedBlock(pre, blocks)) {
-        blocks.push(pre);
-      }
-    });
+    const action = passwordField.closest('form').getAttribute('action') || '';
     
-    return blocks;
-  }
-
-  /**
-   * 检查元素是否已经在处理列表中
-   */
-  isInsideProcessedBlock(element, processedBlocks) {
-    return processedBlocks.some(block => 
-      block === element || block.contains(element) || element.contains(block)
-    );
+    // 文档正文中偶尔也会出现密码框示例，正文长短不能说明问题，需要标题、表单地址或页面地址佐证
+    if (LOGIN_TEXT.test(doc.title || '') || LOGIN_PATH.test(action) || LOGIN_PATH.test(path)) {
+      return `返回的是登录表单（${doc.title || pageUrl}）`;
+    }
+    return null;
   }
 
   /**
-   * 提取干净的代码文本
+   * 收集页面中的所有链接（绝对URL），供递归爬取使用
    */
-  extractCleanCodeText(element) {
-    let text = element.textContent || '';
-    
-    // 移除已有的行号（各种格式）
-    const lines = text.split('\n');
-    const cleanLines = lines.map(line => {
-      // 移除开头的数字和各种分隔符
-      return line.replace(/^\s*\d+[\s\|\.\-\:\t]+/, '');
+  extractLinksFromDocument(doc, baseUrl) {
+    const links = [];
+    doc.querySelectorAll('a[href]').forEach(anchor => {
+      const href = anchor.getAttribute('href');
+      if (!href || href.startsWith('#')) return;
+      try {
+        links.push({
+          url: new URL(href, baseUrl).href,
+          title: anchor.textContent.trim()
+        });
+      } catch (e) {
+        // 忽略无法解析的链接
+      }
     });
-    
-    return cleanLines.join('\n');
+    return links;
   }
 
-
-
-
   /**
    * HTML转义函数
    */
@@ -1343,7 +2266,13 @@ class EnhancedPDFGenerator {
     const completeHtml = this.buildCompleteDocument(pageContents, options);
     
     // 创建PDF预览窗口
-    this.createPDFPreviewWindow(completeHtml, options);
+    await this.createPDFPreviewWindow(completeHtml, options);
+    
+    // 可选：在 PDF 旁边下载抓取报告
+    const report = this.createCrawlReport(pageContents, options, 'pdf');
+    if (options.includeReport) {
+      await this.downloadCrawlReport(report, options.title);
+    }
     
     this.hideProgressPanel();
     console.log('✅ PDF电子书生成完成');
@@ -1362,11 +2291,18 @@ class EnhancedPDFGenerator {
       }
     });
     
+    // 按章节树生成层级编号（如 2.1.3）
+    const outlineNumbers = this.buildOutlineNumbers(pageContents);
+    
+    // 导航中指向章节内部位置的链接（page#section）作为子书签
+    const pageAnchors = pageContents.map((page, index) => this.injectPageAnchors(page, index));
+    const chapterCount = pageContents.filter(page => !page.isSection).length;
+    
     // 生成目录和书签结构
     tocHtml = `<div class="table-of-contents">
       <h1>📚 目录</h1>
       <div class="toc-description">
-        <p>本电子书包含 ${pageContents.length} 个章节，点击标题可跳转到对应章节</p>
+        <p>本电子书包含 ${chapterCount} 个章节，点击标题可跳转到对应章节</p>
       </div>
       <ul class="toc-list">`;
     
@@ -1375,45 +2311,68 @@ class EnhancedPDFGenerator {
       const level = Math.min(Math.max(page.level || 1, 1), 6); // 限制在1-6级
       const indent = Math.max(0, level - 1) * 20; // 每级缩进20px
       const levelClass = `toc-level-${level}`;
+      const sectionClass = page.isSection ? ' toc-section' : '';
       
       // 构建书签结构数据
       bookmarkStructure.push({
         index,
         level,
+        number: outlineNumbers[index],
         title: page.title || '未命名页面',
-        url: page.url
+        url: page.url,
+        isSection: !!page.isSection,
+        anchors: pageAnchors[index].anchors
       });
       
       tocHtml += `
-        <li class="toc-item ${levelClass}" style="margin-left: ${indent}px;">
+        <li class="toc-item ${levelClass}${sectionClass}" style="margin-left: ${indent}px;">
           <a href="#chapter-${index}" class="toc-link">
-            <span class="toc-number">${index + 1}.</span>
+            <span class="toc-number">${outlineNumbers[index]}</span>
             <span class="toc-title">${page.title || '未命名页面'}</span>
           </a>
         </li>`;
+      
+      pageAnchors[index].anchors.forEach(anchor => {
+        tocHtml += `
+        <li class="toc-item toc-anchor" style="margin-left: ${indent + 20}px;">
+          <a href="#${anchor.target}" class="toc-link">
+            <span class="toc-title">${this.escapeHtml(anchor.title)}</span>
+          </a>
+        </li>`;
+      });
     });
     
     tocHtml += `</ul></div><div class="page-break"></div>`;
     
     // 生成带有正确标题层级的内容（用于PDF书签）
     pageContents.forEach((page, index) => {
+      const level = Math.min(Math.max(page.level || 1, 1), 6);
+      const headingTag = `h${level}`;
+      
+      // 分组标题只输出标题本身，作为PDF书签中的父级节点
+      if (page.isSection) {
+        allContent += `
+          <div class="part-section" id="chapter-${index}">
+            <${headingTag} class="chapter-title part-title" id="bookmark-${index}">
+              ${outlineNumbers[index]} ${page.title}
+            </${headingTag}>
+          </div>
+        `;
+        return;
+      }
+      
       if (page.content) {
-        const level = Math.min(Math.max(page.level || 1, 1), 6);
-        const headingTag = `h${level}`;
-        
         allContent += `
           <div class="page-section" id="chapter-${index}">
             <!-- PDF书签标题 -->
             <${headingTag} class="chapter-title" id="bookmark-${index}">
-              ${index + 1}. ${page.title || '未命名页面'}
+              ${outlineNumbers[index]} ${page.title || '未命名页面'}
             </${headingTag}>
             
-            <div class="page-meta">
-              <p class="page-url">来源: ${page.url}</p>
-            </div>
+            ${this.renderPageMeta(page)}
             
             <div class="page-content">
-              ${page.content.html}
+              ${pageAnchors[index].html}
             </div>
           </div>
           <div class="page-break"></div>
@@ -1421,13 +2380,157 @@ class EnhancedPDFGenerator {
       }
     });
     
-    return this.generateCompleteHTML(allStyles, tocHtml + allContent, options, bookmarkStructure);
+    const book = this.getBookMetadata(pageContents, options);
+    return this.generateCompleteHTML(allStyles, tocHtml + allContent, options, bookmarkStructure, book);
+  }
+  
+  /**
+   * 章节开头的信息块：来源、作者、日期、关键词和摘要
+   */
+  renderPageMeta(page) {
+    const metadata = (page.content && page.content.metadata) || {};
+    const details = this.getPageMetaDetails(metadata);
+    const encodingNote = this.getEncodingNote(page.content);
+    
+    return `<div class="page-meta">
+              <p class="page-url">来源: ${page.url}</p>
+              ${details.length > 0 ? `<p class="page-info">${this.escapeHtml(details.join(' · '))}</p>` : ''}
+              ${metadata.description ? `<p class="page-description">${this.escapeHtml(metadata.description)}</p>` : ''}
+              ${encodingNote ? `<p class="page-encoding">${encodingNote}</p>` : ''}
+            </div>`;
+  }
+  
+  /**
+   * 页面元数据 → 显示用的条目（PDF 章节信息块和 Markdown 章节引用块共用）
+   */
+  getPageMetaDetails(metadata) {
+    const details = [];
+    if (metadata.author) details.push(`作者: ${metadata.author}`);
+    if (metadata.published) details.push(`发布: ${this.formatMetaDate(metadata.published)}`);
+    if (metadata.modified && metadata.modified !== metadata.published) {
+      details.push(`更新: ${this.formatMetaDate(metadata.modified)}`);
+    }
+    if (metadata.keywords && metadata.keywords.length > 0) details.push(`关键词: ${metadata.keywords.join(', ')}`);
+    return details;
+  }
+  
+  /**
+   * 日期统一显示为 YYYY-MM-DD，无法识别的格式原样显示
+   */
+  formatMetaDate(value) {
+    const isoDate = /^\d{4}-\d{2}-\d{2}/.exec(value);
+    if (isoDate) return isoDate[0];
+    
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+  
+  /**
+   * 书籍级元数据：弹窗中填写的作者优先，其次是起始页面（再其次是多数页面）标注的信息
+   */
+  getBookMetadata(pageContents, options) {
+    const pages = pageContents.filter(page => !page.isSection && page.content && page.content.metadata);
+    // 起始地址可能带有锚点或 utm_ 等跟踪参数，两边都规范化后再比较
+    const startUrl = this.canonicalizeUrl(this.getPageUrl());
+    const start = pages.find(page => this.canonicalizeUrl(page.url) === startUrl) || pages[0];
+    const startMetadata = start ? start.content.metadata : {};
+    
+    const mostCommon = field => {
+      const counts = new Map();
+      pages.forEach(page => {
+        const value = page.content.metadata[field];
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      });
+      let best = '';
+      counts.forEach((count, value) => {
+        if (!best || count > counts.get(best)) best = value;
+      });
+      return best;
+    };
+    
+    return {
+      title: options.title,
+      author: options.author || startMetadata.author || mostCommon('author') || '未知作者',
+      description: startMetadata.description || '',
+      keywords: startMetadata.keywords || [],
+      lang: startMetadata.lang || mostCommon('lang') || 'zh-CN',
+      siteName: startMetadata.siteName || mostCommon('siteName'),
+      source: startMetadata.canonicalUrl || startUrl
+    };
+  }
+  
+  /**
+   * Markdown 文件开头的 YAML front matter，字符串按 JSON 写出（YAML 的双引号字符串兼容 JSON）
+   */
+  buildFrontMatter(book) {
+    const lines = [
+      `title: ${JSON.stringify(book.title || '')}`,
+      `author: ${JSON.stringify(book.author)}`,
+      `date: ${this.formatMetaDate(new Date())}`,
+      `lang: ${JSON.stringify(book.lang)}`,
+      `source: ${JSON.stringify(book.source)}`
+    ];
+    if (book.siteName) lines.push(`site: ${JSON.stringify(book.siteName)}`);
+    if (book.description) lines.push(`description: ${JSON.stringify(book.description)}`);
+    if (book.keywords.length > 0) lines.push(`keywords: ${JSON.stringify(book.keywords)}`);
+    
+    return `---\n${lines.join('\n')}\n---\n\n`;
+  }
+  
+  /**
+   * 在章节内容中为子书签插入跳转锚点
+   * 页面自身的 id 在合并后的文档中可能重复，因此插入带章节序号的新锚点
+   * @returns {Object} {html, anchors: [{title, target}]}，找不到目标位置的子书签会被忽略
+   */
+  injectPageAnchors(page, index) {
+    const html = page.content ? page.content.html : '';
+    if (!page.anchors || page.anchors.length === 0 || !html) {
+      return { html, anchors: [] };
+    }
+    
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const anchors = [];
+    
+    page.anchors.forEach((anchor, anchorIndex) => {
+      const target = Array.from(template.content.querySelectorAll('[id], a[name]'))
+        .find(element => element.id === anchor.id || element.getAttribute('name') === anchor.id);
+      if (!target) return;
+      
+      const marker = document.createElement('a');
+      marker.id = `chapter-${index}-anchor-${anchorIndex}`;
+      marker.className = 'page-anchor';
+      target.insertBefore(marker, target.firstChild);
+      anchors.push({ title: anchor.title, target: marker.id });
+    });
+    
+    return { html: template.innerHTML, anchors };
   }
   
-  generateCompleteHTML(styles, content, options, bookmarkStructure) {
+  /**
+   * 根据章节层级生成多级编号
+   * 例如层级序列 1,2,2,1,2 生成 1. / 1.1. / 1.2. / 2. / 2.1.
+   */
+  buildOutlineNumbers(pageContents) {
+    const counters = [];
+    return pageContents.map(page => {
+      const level = Math.min(Math.max(page.level || 1, 1), 6);
+      counters.length = level;
+      for (let i = 0; i < level; i++) {
+        if (counters[i] === undefined) counters[i] = 0;
+      }
+      counters[level - 1]++;
+      // 跳级时（如1级直接到3级）缺失的中间层级从1开始计数
+      return counters.map(count => Math.max(count, 1)).join('.') + '.';
+    });
+  }
+  
+  generateCompleteHTML(styles, content, options, bookmarkStructure, book) {
     // 生成书签meta信息和数据
     let bookmarkMeta = '';
-    const chapterCount = bookmarkStructure ? bookmarkStructure.length : 0;
+    const chapterCount = bookmarkStructure ? bookmarkStructure.filter(item => !item.isSection).length : 0;
     
     if (bookmarkStructure && bookmarkStructure.length > 0) {
       bookmarkMeta = `
@@ -1438,11 +2541,20 @@ class EnhancedPDFGenerator {
         </script>`;
     }
     
+    const bookMeta = [
+      ['author', book.author],
+      ['description', book.description],
+      ['keywords', book.keywords.join(', ')]
+    ].filter(([, value]) => value)
+      .map(([name, value]) => `<meta name="${name}" content="${this.escapeHtml(value).replace(/"/g, '&quot;')}">`)
+      .join('\n    ');
+    
     return `<!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${this.escapeHtml(book.lang)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${bookMeta}
     ${bookmarkMeta}
     <title>${options.title}</title>
     <style>
@@ -1497,6 +2609,12 @@ class EnhancedPDFGenerator {
           margin-left: 100px !important;
         }
         
+        /* 分组标题（导航中没有链接的部分标题） */
+        .part-title {
+          color: #3498db !important;
+          border-bottom-style: double !important;
+        }
+        
         .page-meta {
           margin-bottom: 20px !important;
           padding: 8px 12px !important;
@@ -1511,11 +2629,16 @@ class EnhancedPDFGenerator {
           font-family: 'Courier New', monospace !important;
           word-break: break-all !important;
         }
+        
+        .page-info, .page-description, .page-encoding {
+          margin: 4px 0 0 0 !important;
+        }
     </style>
 </head>
 <body>
     <div class="pdf-controls no-print">
         <h3>📚 ${options.title}</h3>
+        <p>作者: ${this.escapeHtml(book.author)}</p>
         <p>完整的PDF电子书已生成，包含侧边栏书签导航</p>
         <button onclick="console.log('Print button clicked'); window.print();" class="print-btn">🖨️ 保存为PDF</button>
         <button onclick="window.close()" class="close-btn">❌ 关闭</button>
@@ -1693,6 +2816,9 @@ class EnhancedPDFGenerator {
         .toc-level-1 { font-weight: bold; font-size: 11pt; }
         .toc-level-2 { font-size: 10pt; }
         .toc-level-3 { font-size: 9pt; color: #666; }
+        .toc-section .toc-title { font-weight: bold; color: #3498db; }
+        .toc-anchor { font-size: 9pt; }
+        .toc-anchor .toc-title { color: #666; }
         
         /* 页面样式 */
         .page-section {
@@ -1762,6 +2888,10 @@ class EnhancedPDFGenerator {
           font-size: 8pt !important;
         }
         
+        .page-info, .page-description, .page-encoding {
+          margin: 3pt 0 0 0 !important;
+        }
+        
         .page-content {
           margin-top: 15pt !important;
         }
@@ -2055,9 +3185,18 @@ class EnhancedPDFGenerator {
         <div style="background: #f0f0f0; height: 6px; border-radius: 3px; overflow: hidden;">
           <div id="progress-bar" style="background: #4facfe; height: 100%; width: 0%; transition: width 0.3s;"></div>
         </div>
+        <button id="progress-cancel-btn" style="margin-top: 20px; padding: 6px 20px; border: 1px solid #ccc; border-radius: 4px;
+                background: #fff; color: #333; cursor: pointer; font-size: 14px;">取消</button>
       </div>
     `;
     document.body.appendChild(panel);
+    
+    const cancelBtn = panel.querySelector('#progress-cancel-btn');
+    cancelBtn.addEventListener('click', () => {
+      cancelBtn.disabled = true;
+      cancelBtn.textContent = '正在取消...';
+      this.cancelGeneration();
+    });
   }
   
   updateProgress(text) {
@@ -2099,185 +3238,27 @@ class EnhancedPDFGenerator {
    * 提取当前页面内容
    */
   extractCurrentPageContent() {
-    // 针对文档网站的改进选择器
-    const contentSelectors = [
-      '.markdown-body',  // GitHub Pages 和 GitBook 常用
-      '.content',
-      'main',
-      'article', 
-      '.main-content',
-      '.doc-content',
-      '.post-content',
-      '#content',
-      '.container .row',  // Bootstrap 布局
-      '.container'
-    ];
-    
-    let mainContent = null;
-    let bestMatch = null;
-    let maxContentLength = 0;
-    
-    // 找到内容最多的元素作为主内容
-    for (const selector of contentSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const textLength = element.textContent.trim().length;
-        if (textLength > maxContentLength && textLength > 100) {
-          maxContentLength = textLength;
-          bestMatch = element;
-        }
-      }
-    }
-    
-    mainContent = bestMatch;
-    
-    // 如果还是没找到，尝试找到最大的 div
-    if (!mainContent) {
-      const divs = document.querySelectorAll('div');
-      for (const div of divs) {
-        const textLength = div.textContent.trim().length;
-        if (textLength > maxContentLength && textLength > 200) {
-          maxContentLength = textLength;
-          mainContent = div;
-        }
-      }
-    }
-    
-    if (!mainContent) {
-      console.warn('未找到主内容区域，使用body');
-      mainContent = document.body;
-    }
-
-    const cloned = mainContent.cloneNode(true);
-    this.cleanupContent(cloned);
+    // 与抓取的页面使用同一个提取模块，实时文档可以读取已加载的样式表
+    const extracted = this.extractor.extract(document, {
+      url: window.location.href,
+      live: true,
+      rule: this.getSiteRule(window.location.href)
+    });
     
     const result = {
-      html: cloned.outerHTML,
-      title: document.title || '未命名页面',
-      styles: this.extractStylesFromDocument(document),
-      textLength: cloned.textContent.trim().length
+      ...extracted,
+      links: this.extractLinksFromDocument(document, window.location.href),
+      nextUrl: this.findNextPageUrl(document, window.location.href),
+      canonicalUrl: extracted.metadata.canonicalUrl,
+      encoding: document.characterSet,
+      finalUrl: window.location.href,
+      source: 'live'
     };
     
     console.log(`✅ 提取当前页面内容: ${result.title} (${result.textLength} 字符)`);
     return result;
   }
 
-  /**
-   * 提取当前文档的样式
-   */
-  extractStylesFromDocument(doc) {
-    let styles = '';
-    
-    try {
-      // 首先添加基础样式重置和文档样式
-      styles += `
-        /* 基础样式重置和文档样式 */
-        * { box-sizing: border-box; }
-        body { 
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; 
-          line-height: 1.6; 
-          margin: 0; 
-          padding: 20px; 
-        }
-        h1, h2, h3, h4, h5, h6 { margin: 1em 0 0.5em 0; }
-        p { margin: 0.5em 0; }
-        img { max-width: 100%; height: auto; }
-        pre, code { 
-          font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; 
-          background: #f5f5f5; 
-          padding: 2px 4px; 
-          border-radius: 3px; 
-        }
-        pre { padding: 10px; overflow-x: auto; }
-        blockquote { 
-          margin: 0 0 0 20px; 
-          padding-left: 15px; 
-          border-left: 3px solid #ddd; 
-          color: #666; 
-        }
-        table { border-collapse: collapse; width: 100%; margin: 1em 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; font-weight: bold; }
-      `;
-      
-      // 提取外部样式表
-      const styleSheets = doc.styleSheets;
-      for (let i = 0; i < styleSheets.length; i++) {
-        try {
-          const sheet = styleSheets[i];
-          // 只处理同域或允许访问的样式表
-          if (sheet.cssRules) {
-            for (let j = 0; j < sheet.cssRules.length; j++) {
-              const rule = sheet.cssRules[j];
-              if (rule.type === CSSRule.STYLE_RULE) {
-                // 过滤掉一些可能影响打印的规则
-                const cssText = rule.cssText;
-                if (!cssText.includes('transform') && 
-                    !cssText.includes('position: fixed') && 
-                    !cssText.includes('position: absolute') &&
-                    !cssText.includes('animation')) {
-                  styles += cssText + '\n';
-                }
-              } else if (rule.type === CSSRule.MEDIA_RULE) {
-                // 处理媒体查询，保留print和all类型
-                if (rule.media.mediaText.includes('print') || 
-                    rule.media.mediaText.includes('all') ||
-                    rule.media.mediaText.includes('screen')) {
-                  styles += rule.cssText + '\n';
-                }
-              }
-            }
-          }
-        } catch (e) {
-          console.warn('无法访问外部样式表:', e);
-          // 尝试通过link标签获取样式表URL
-          const linkTags = doc.querySelectorAll('link[rel="stylesheet"]');
-          linkTags.forEach(link => {
-            const href = link.href;
-            if (href && href.startsWith(window.location.origin)) {
-              styles += `@import url("${href}");\n`;
-            }
-          });
-        }
-      }
-      
-      // 提取内联样式
-      const styleTags = doc.querySelectorAll('style');
-      styleTags.forEach(style => {
-        const content = style.textContent;
-        if (content && !content.includes('@import')) {  // 避免重复的@import
-          styles += content + '\n';
-        }
-      });
-      
-      // 提取元素的内联样式属性
-      const elementsWithStyle = doc.querySelectorAll('[style]');
-      const inlineStyles = [];
-      elementsWithStyle.forEach((element, index) => {
-        const inlineStyle = element.getAttribute('style');
-        if (inlineStyle) {
-          const className = `inline-style-${index}`;
-          element.classList.add(className);
-          inlineStyles.push(`.${className} { ${inlineStyle} }`);
-        }
-      });
-      styles += inlineStyles.join('\n');
-      
-    } catch (error) {
-      console.warn('提取样式失败:', error);
-      // 添加基本的后备样式
-      styles += `
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        h1 { color: #333; border-bottom: 2px solid #333; }
-        h2 { color: #666; border-bottom: 1px solid #666; }
-        code { background: #f0f0f0; padding: 2px 4px; }
-        pre { background: #f8f8f8; padding: 10px; border: 1px solid #ddd; }
-      `;
-    }
-    
-    return styles;
-  }
-
   /**
    * 下载图片为 Blob 对象
    * 处理网络图片的二进制数据获取
@@ -2286,20 +3267,11 @@ class EnhancedPDFGenerator {
     try {
       console.log(`📥 正在下载图片: ${imageUrl}`);
       
-      // 使用 fetch API 获取图片数据
-      const response = await fetch(imageUrl, {
-        method: 'GET',
-        credentials: 'same-origin', // 处理需要认证的图片
-        cache: 'force-cache' // 优先使用缓存
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      // 获取 Content-Type 来确定文件扩展名
-      const contentType = response.headers.get('Content-Type') || '';
-      const blob = await response.blob();
+      // 启用缓存时经后台获取（持久缓存 + 条件请求），否则直接下载
+      // 需要登录状态的图片直接携带 Cookie 下载，不写入持久缓存（后台请求固定不带 Cookie）
+      const { contentType, blob } = this.config.get('cache.enabled') && !this.canSendImageCredentials(imageUrl)
+        ? await this.fetchImageViaBackground(imageUrl)
+        : await this.fetchImageDirect(imageUrl);
       
       // 根据 MIME 类型确定扩展名
       let extension = 'png'; // 默认
@@ -2317,7 +3289,7 @@ class EnhancedPDFGenerator {
       
       // 如果 Content-Type 不可靠，从 URL 推断
       if (!contentType && imageUrl) {
-        const urlPath = new URL(imageUrl, window.location.href).pathname;
+        const urlPath = new URL(imageUrl, this.getPageUrl()).pathname;
         const match = urlPath.match(/\.(jpg|jpeg|png|gif|webp|svg)$/i);
         if (match) {
           extension = match[1].toLowerCase();
@@ -2326,9 +3298,66 @@ class EnhancedPDFGenerator {
       
       return { blob, extension };
     } catch (error) {
+      if (error.cancelled) throw error;
       console.error(`❌ 图片下载失败: ${imageUrl}`, error);
-      return null;
+      return { blob: null, error: error.message, attempts: error.attempts || 1 };
+    }
+  }
+
+  /**
+   * 使用 fetch API 获取图片数据（按主机限速，超时、5xx、429 时退避重试）
+   * @returns {Promise<Object>} {contentType, blob}
+   */
+  fetchImageDirect(imageUrl) {
+    return this.retry.execute(() => {
+      return this.scheduler.run(imageUrl, () => this.fetchWithTimeout(imageUrl, {
+        method: 'GET',
+        credentials: this.canSendImageCredentials(imageUrl) ? 'include' : 'omit', // 站内图片和允许的站点才携带 Cookie
+        cache: 'force-cache' // 优先使用缓存
+      }, async response => {
+        if (!response.ok) {
+          throw RetryManager.createHttpError(response.status, response.statusText, response.headers.get('Retry-After'));
+        }
+        // 获取 Content-Type 来确定文件扩展名
+        return { contentType: response.headers.get('Content-Type') || '', blob: await response.blob() };
+      }), { interval: this.config.get('crawler.imageRequestDelay') });
+    }, {
+      description: `下载图片 ${imageUrl}`,
+      shouldRetry: RetryManager.isRetryableError,
+      signal: this.abortController?.signal
+    });
+  }
+
+  /**
+   * 通过background获取图片，命中持久缓存且未修改时不重新下载
+   * 后台已按超时、5xx、429 重试；图片以 base64 经消息通道传回
+   * @returns {Promise<Object>} {contentType, blob}
+   */
+  async fetchImageViaBackground(imageUrl) {
+    const url = this.resolveUrl(imageUrl);
+    const response = await this.scheduler.run(url, () => this.sendRuntimeMessage({
+      action: 'fetchImage',
+      url: url
+    }), { interval: this.config.get('crawler.imageRequestDelay') });
+    
+    if (!response.success) {
+      const error = new Error(response.error || '图片下载失败');
+      error.status = response.status;
+      error.timeout = response.timeout;
+      error.attempts = response.attempts;
+      throw error;
+    }
+    
+    const binary = atob(response.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
     }
+    
+    return {
+      contentType: response.contentType || '',
+      blob: new Blob([bytes], { type: response.contentType || '' })
+    };
   }
 
   /**
@@ -2372,7 +3401,7 @@ class EnhancedPDFGenerator {
       
       try {
         // 转换为绝对 URL（处理相对路径）
-        const absoluteUrl = new URL(originalSrc, window.location.href).href;
+        const absoluteUrl = new URL(originalSrc, this.getPageUrl()).href;
         
         // 跳过 data: URL
         if (absoluteUrl.startsWith('data:')) {
@@ -2416,6 +3445,7 @@ class EnhancedPDFGenerator {
     const downloadedImages = [];
     
     for (let i = 0; i < imageUrls.length; i += BATCH_SIZE) {
+      this.throwIfCancelled();
       const batch = imageUrls.slice(i, i + BATCH_SIZE);
       this.updateProgress(`正在下载图片 ${i + 1}-${Math.min(i + BATCH_SIZE, imageUrls.length)}/${imageUrls.length}...`);
       
@@ -2440,10 +3470,18 @@ class EnhancedPDFGenerator {
             this.imageMap.set(url, imageInfo);
             return { success: true, data: imageInfo };
           }
-          return { success: false, url: url, error: '下载失败' };
+          return {
+            success: false,
+            url: url,
+            error: result?.error || '下载失败',
+            attempts: result?.attempts || 1
+          };
         })
       );
       
+      // 取消导致的失败不计入失败报告
+      this.throwIfCancelled();
+      
       // 收集成功下载的图片和失败信息
       results.forEach((result, index) => {
         const url = batch[index];
@@ -2456,6 +3494,7 @@ class EnhancedPDFGenerator {
             this.failedImages.push({
               url: url,
               error: result.value.error || '未知错误',
+              attempts: result.value.attempts || 1,
               pageTitle: pageTitle,
               altText: ''
             });
@@ -2472,11 +3511,6 @@ class EnhancedPDFGenerator {
           console.error(`❌ 图片下载异常: ${url}`, result.reason);
         }
       });
-      
-      // 短暂延迟，避免请求过快
-      if (i + BATCH_SIZE < imageUrls.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
     }
     
     const successCount = downloadedImages.length;
@@ -2563,6 +3597,9 @@ class EnhancedPDFGenerator {
         }
         
         report += `- **失败原因**: \`${img.error}\`\n`;
+        if (img.attempts > 1) {
+          report += `- **尝试次数**: ${img.attempts}\n`;
+        }
         report += `- **原始链接**: \n  \`\`\`\n  ${img.url}\n  \`\`\`\n`;
         
         // 分析错误类型并给出建议
@@ -2609,10 +3646,13 @@ class EnhancedPDFGenerator {
 }
 
 // 初始化增强版PDF生成器
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
+// 离屏文档（扩展页面）复用此类，由 offscreen.js 创建实例
+if (location.protocol !== 'chrome-extension:') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      new EnhancedPDFGenerator();
+    });
+  } else {
     new EnhancedPDFGenerator();
-  });
-} else {
-  new EnhancedPDFGenerator();
-} 
\ No newline at end of file
+  }
+}
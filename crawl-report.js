@@ -0,0 +1,114 @@
+/**
+ * HTML转PDF电子书生成器 - 抓取报告
+ *
+ * 记录每个页面的抓取结果，便于核对导出内容是否完整：
+ * 请求地址、重定向后的最终地址、HTTP 状态码、字节数、耗时、
+ * parseHTMLContent 命中的正文选择器、正文识别置信度、提取的文本长度、移除的重复内容和警告
+ *
+ * 输出 crawl-report.json 和 crawl-report.csv，Markdown 导出时放进 ZIP，PDF 导出时可选单独下载
+ */
+
+class CrawlReport {
+  /**
+   * @param {Array} pageContents - 抓取完成的章节条目（含分组标题）
+   * @param {Object} info - {title, startUrl, type, boilerplate: 跨页面移除的重复内容}
+   */
+  constructor(pageContents, info = {}) {
+    this.title = info.title || '';
+    this.startUrl = info.startUrl || '';
+    this.type = info.type || '';
+    this.generatedAt = new Date().toISOString();
+    this.boilerplate = info.boilerplate || [];
+    // 分组标题没有对应页面，不写入报告
+    this.pages = pageContents.filter(page => !page.isSection).map(page => CrawlReport.createRow(page));
+  }
+
+  /**
+   * 章节条目 → 报告行
+   */
+  static createRow(page) {
+    const content = page.content || {};
+    const warnings = [...(content.warnings || [])];
+
+    if (page.error) warnings.push(page.error);
+    if (page.attempts > 1) warnings.push(`共尝试 ${page.attempts} 次`);
+    (page.mergedUrls || []).forEach(url => warnings.push(`与 ${url} 是同一页面，已合并`));
+
+    return {
+      index: page.index,
+      title: page.title || '',
+      url: page.url || '',
+      finalUrl: content.finalUrl || page.url || '',
+      status: Number.isFinite(content.status) ? content.status : null,
+      bytes: Number.isFinite(content.bytes) ? content.bytes : null,
+      duration: Number.isFinite(page.duration) ? page.duration : null,
+      source: content.source || '',
+      fromCache: !!content.fromCache,
+      encoding: content.encoding || '',
+      selector: content.selector || '',
+      confidence: Number.isFinite(content.confidence) ? content.confidence : null,
+      textLength: content.textLength || 0,
+      boilerplateRemoved: content.boilerplateRemoved || 0,
+      attempts: page.attempts || 1,
+      success: !page.error && content.textLength > 0,
+      warnings: warnings
+    };
+  }
+
+  getSummary() {
+    const succeeded = this.pages.filter(page => page.success).length;
+    return {
+      pages: this.pages.length,
+      succeeded: succeeded,
+      failed: this.pages.length - succeeded,
+      withWarnings: this.pages.filter(page => page.warnings.length > 0).length,
+      bytes: this.pages.reduce((sum, page) => sum + (page.bytes || 0), 0),
+      textLength: this.pages.reduce((sum, page) => sum + page.textLength, 0)
+    };
+  }
+
+  toJSON() {
+    return JSON.stringify({
+      title: this.title,
+      type: this.type,
+      startUrl: this.startUrl,
+      generatedAt: this.generatedAt,
+      summary: this.getSummary(),
+      boilerplate: this.boilerplate,
+      pages: this.pages
+    }, null, 2);
+  }
+
+  /**
+   * 每个页面一行，多条警告以 “; ” 连接
+   * 开头加 BOM，Excel 才会按 UTF-8 读取中文
+   */
+  toCSV() {
+    const columns = ['index', 'title', 'url', 'finalUrl', 'status', 'bytes', 'duration', 'source', 'fromCache',
+      'encoding', 'selector', 'confidence', 'textLength', 'boilerplateRemoved', 'attempts', 'success', 'warnings'];
+
+    const lines = [columns.join(',')];
+    for (const page of this.pages) {
+      lines.push(columns.map(column => {
+        const value = column === 'warnings' ? page.warnings.join('; ') : page[column];
+        return CrawlReport.escapeCSV(value);
+      }).join(','));
+    }
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  static escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 控制台摘要
+   */
+  log() {
+    const summary = this.getSummary();
+    console.log(`📋 抓取报告 - 页面: ${summary.pages}, 成功: ${summary.succeeded}, 失败: ${summary.failed}, 有警告: ${summary.withWarnings}, 移除重复内容: ${this.boilerplate.length} 种`);
+  }
+}
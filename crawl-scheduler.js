@@ -0,0 +1,288 @@
+/**
+ * HTML转PDF电子书生成器 - 按主机的礼貌抓取调度器
+ *
+ * 导出大型公开文档站点时，避免因请求过快被服务器封禁：
+ * 1. 同一主机的请求串行排队，保持最小间隔（requestDelay）
+ * 2. 遵守 robots.txt 的 Disallow / Allow 规则和 Crawl-delay
+ * 3. 遇到 429 / 503 时记录 Retry-After，该主机的后续请求（包括 RetryManager 的重试）都会等到退避结束
+ *
+ * 速率参数来自 ConfigManager 的 crawler 配置
+ */
+
+class HostScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestDelay - 同一主机两次请求的最小间隔（毫秒）
+   * @param {boolean} options.respectRobotsTxt - 是否遵守 robots.txt
+   * @param {number} options.maxRetryAfter - Retry-After 的最长等待时间（毫秒）
+   * @param {string} options.userAgent - 用于匹配 robots.txt 中的 User-agent 分组
+   * @param {Function} options.fetchText - (url) => Promise<string>，用于读取 robots.txt
+   * @param {AbortSignal} options.signal - 导出取消时结束排队等待
+   */
+  constructor(options = {}) {
+    this.requestDelay = Number.isFinite(options.requestDelay) ? options.requestDelay : 300;
+    this.respectRobotsTxt = options.respectRobotsTxt !== false;
+    this.maxRetryAfter = Number.isFinite(options.maxRetryAfter) ? options.maxRetryAfter : 60000;
+    this.userAgent = options.userAgent || '';
+    this.fetchText = options.fetchText || null;
+    this.signal = options.signal || null;
+
+    this.hosts = new Map();  // host -> {nextAllowedAt, crawlDelay, queue}
+    this.robots = new Map(); // origin -> Promise<robots规则 | null>
+  }
+
+  getHostState(url) {
+    let host = '';
+    try {
+      host = new URL(url, globalThis.location && globalThis.location.href).host;
+    } catch (e) {
+      // 无法解析的地址共用一个队列
+    }
+
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { nextAllowedAt: 0, crawlDelay: 0, queue: Promise.resolve() });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * 等待轮到该主机的请求时机
+   * 同一主机的调用按顺序排队，每次至少间隔 max(interval, Crawl-delay)
+   */
+  acquire(url, interval = this.requestDelay) {
+    const state = this.getHostState(url);
+
+    const turn = state.queue.then(async () => {
+      const wait = state.nextAllowedAt - Date.now();
+      if (wait > 0) {
+        await this.wait(wait);
+      }
+      state.nextAllowedAt = Date.now() + Math.max(interval, state.crawlDelay);
+    });
+
+    state.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * 按主机限速执行请求，遇到 429 / 503 时按 Retry-After 推迟该主机的后续请求
+   * 重试由调用方（RetryManager）负责
+   * @param {string} url - 请求地址
+   * @param {Function} operation - 返回 Response 或 {status, retryAfter}、或抛出带 status 的错误的异步函数
+   * @param {Object} options - {interval}
+   */
+  async run(url, operation, options = {}) {
+    await this.acquire(url, options.interval);
+
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      this.checkThrottled(url, error.status, error.retryAfter);
+      throw error;
+    }
+
+    if (result) {
+      this.checkThrottled(url, result.status, result.headers ? result.headers.get('Retry-After') : result.retryAfter);
+    }
+    return result;
+  }
+
+  checkThrottled(url, status, retryAfter) {
+    if (status === 429 || status === 503) {
+      const delay = this.backoff(url, retryAfter);
+      console.warn(`🐢 服务器返回 ${status}，该站点暂停请求 ${Math.round(delay / 1000)} 秒: ${url}`);
+    }
+  }
+
+  /**
+   * 记录主机的退避时间，之后该主机的所有请求都会等到退避结束
+   * @returns {number} 退避的毫秒数
+   */
+  backoff(url, retryAfter) {
+    const state = this.getHostState(url);
+    const parsed = HostScheduler.parseRetryAfter(retryAfter);
+    // 没有 Retry-After 时默认暂停 2 秒
+    const delay = Math.min(parsed !== null ? parsed : 2000, this.maxRetryAfter);
+
+    state.nextAllowedAt = Math.max(state.nextAllowedAt, Date.now() + delay);
+    return delay;
+  }
+
+  /**
+   * 解析 Retry-After 头：秒数或 HTTP 日期
+   * @returns {number|null} 需要等待的毫秒数
+   */
+  static parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 判断 robots.txt 是否允许抓取该URL，同时应用其中的 Crawl-delay
+   */
+  async isAllowed(url) {
+    if (!this.respectRobotsTxt) return true;
+
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const rules = await this.getRobotsRules(urlObj.origin);
+    if (!rules) return true;
+
+    if (rules.crawlDelay > 0) {
+      this.getHostState(url).crawlDelay = Math.min(rules.crawlDelay * 1000, this.maxRetryAfter);
+    }
+
+    return HostScheduler.isPathAllowed(rules.rules, urlObj.pathname + urlObj.search);
+  }
+
+  /**
+   * 读取并缓存站点的 robots.txt，读取失败时视为没有限制
+   */
+  getRobotsRules(origin) {
+    if (!this.robots.has(origin)) {
+      const loading = this.fetchText
+        ? this.fetchText(`${origin}/robots.txt`)
+          .then(text => {
+            const rules = HostScheduler.parseRobotsTxt(text, this.userAgent);
+            console.log(`🤖 已读取 ${origin}/robots.txt (${rules.rules.length} 条规则${rules.crawlDelay ? `, Crawl-delay: ${rules.crawlDelay}s` : ''})`);
+            return rules;
+          })
+          .catch(() => {
+            console.log(`🤖 ${origin}/robots.txt 不可用，视为允许抓取`);
+            return null;
+          })
+        : Promise.resolve(null);
+      this.robots.set(origin, loading);
+    }
+    return this.robots.get(origin);
+  }
+
+  /**
+   * 解析 robots.txt
+   * 选择 User-agent 与本程序匹配的分组，没有时使用 * 分组
+   * @returns {Object} {rules: [{allow, pattern}], crawlDelay, sitemaps}
+   */
+  static parseRobotsTxt(text, userAgent = '') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+      if (!match) continue;
+
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // 连续的 User-agent 行属于同一分组
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: 0 };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // 空的 Disallow 表示允许全部
+        if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (Number.isFinite(delay)) current.crawlDelay = delay;
+      }
+    }
+
+    const agent = userAgent.toLowerCase();
+    const group = groups.find(g => g.agents.some(name => name !== '*' && agent.includes(name)))
+      || groups.find(g => g.agents.includes('*'));
+
+    return {
+      rules: group ? group.rules : [],
+      crawlDelay: group ? group.crawlDelay : 0,
+      sitemaps
+    };
+  }
+
+  /**
+   * 最长匹配的规则生效，长度相同时 Allow 优先
+   */
+  static isPathAllowed(rules, path) {
+    let best = null;
+
+    for (const rule of rules) {
+      if (!HostScheduler.matchesRobotsPattern(rule.pattern, path)) continue;
+      if (!best || rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return !best || best.allow;
+  }
+
+  /**
+   * robots.txt 路径规则：前缀匹配，* 匹配任意字符，结尾的 $ 表示精确结尾
+   */
+  static matchesRobotsPattern(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    let decodedPath = path;
+    try {
+      decodedPath = decodeURI(path);
+    } catch (e) {
+      // 保留原始路径
+    }
+
+    const regex = new RegExp('^' + source + (anchored ? '$' : ''));
+    return regex.test(path) || regex.test(decodedPath);
+  }
+
+  /**
+   * 等待指定时间，导出取消时提前结束
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      if (this.signal && this.signal.aborted) {
+        resolve();
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      if (this.signal) {
+        this.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * HTML转PDF电子书生成器 - 抓取范围规则
+ *
+ * 决定一个链接是否属于本次导出的文档站点
+ * 规则组成：
+ * 1. 同源限制：只接受与起始页面同源的链接
+ * 2. 路径前缀：只接受路径以指定前缀开头的链接
+ * 3. 包含/排除列表：每条规则为 glob 通配符或 /正则/flags
+ *
+ * 导航发现和所有跟随链接的抓取逻辑都通过 contains() 判断，保证范围一致
+ */
+
+class CrawlScope {
+  constructor(rules = {}, startUrl = window.location.href) {
+    this.startUrl = new URL(startUrl);
+    this.sameOrigin = rules.sameOrigin !== false;
+    this.pathPrefix = this.normalizePathPrefix(rules.pathPrefix);
+    this.include = CrawlScope.parsePatterns(rules.include).map(p => this.compilePattern(p)).filter(Boolean);
+    this.exclude = CrawlScope.parsePatterns(rules.exclude).map(p => this.compilePattern(p)).filter(Boolean);
+  }
+
+  /**
+   * 将规则列表统一为字符串数组
+   * 支持数组或多行文本（弹窗中的 textarea，每行一条）
+   */
+  static parsePatterns(patterns) {
+    if (!patterns) return [];
+    const list = Array.isArray(patterns) ? patterns : String(patterns).split('\n');
+    return list.map(p => String(p).trim()).filter(p => p.length > 0 && !p.startsWith('#'));
+  }
+
+  normalizePathPrefix(prefix) {
+    if (!prefix) return '';
+    let normalized = String(prefix).trim();
+    if (!normalized) return '';
+
+    // 允许直接粘贴完整URL作为前缀
+    if (/^https?:\/\//i.test(normalized)) {
+      try {
+        normalized = new URL(normalized).pathname;
+      } catch {
+        return '';
+      }
+    }
+
+    return normalized.startsWith('/') ? normalized : '/' + normalized;
+  }
+
+  /**
+   * 编译单条规则
+   * /.../flags 视为正则表达式，其余按 glob 处理：
+   *   **  匹配任意字符（包括 /）
+   *   *   匹配除 / 以外的任意字符
+   *   ?   匹配单个非 / 字符
+   */
+  compilePattern(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      try {
+        return new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+      } catch (error) {
+        console.warn(`无效的正则规则，已忽略: ${pattern}`, error);
+        return null;
+      }
+    }
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*') {
+        if (pattern[i + 1] === '*') {
+          source += '.*';
+          i++;
+        } else {
+          source += '[^/]*';
+        }
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * glob 规则既可以写完整URL，也可以只写路径
+   */
+  matchesAny(patterns, urlObj) {
+    const fullUrl = urlObj.href;
+    const path = urlObj.pathname + urlObj.search;
+    return patterns.some(pattern => pattern.test(fullUrl) || pattern.test(path));
+  }
+
+  /**
+   * 判断URL是否在抓取范围内
+   */
+  contains(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url, this.startUrl);
+    } catch {
+      return false;
+    }
+
+    if (!/^https?:$/.test(urlObj.protocol)) return false;
+
+    if (this.sameOrigin && urlObj.origin !== this.startUrl.origin) return false;
+
+    if (this.pathPrefix && !urlObj.pathname.startsWith(this.pathPrefix)) return false;
+
+    if (this.include.length > 0 && !this.matchesAny(this.include, urlObj)) return false;
+
+    if (this.exclude.length > 0 && this.matchesAny(this.exclude, urlObj)) return false;
+
+    return true;
+  }
+
+  /**
+   * 规则摘要，用于日志输出
+   */
+  describe() {
+    const parts = [this.sameOrigin ? `同源(${this.startUrl.origin})` : '不限来源'];
+    if (this.pathPrefix) parts.push(`路径前缀 ${this.pathPrefix}`);
+    if (this.include.length > 0) parts.push(`包含规则 ${this.include.length} 条`);
+    if (this.exclude.length > 0) parts.push(`排除规则 ${this.exclude.length} 条`);
+    return parts.join('，');
+  }
+}
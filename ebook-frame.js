@@ -0,0 +1,22 @@
+/**
+ * HTML转PDF电子书生成器 - 电子书沙箱页面
+ *
+ * 沙箱页面允许执行内联脚本，但没有扩展API，电子书HTML由 ebook-viewer.js 传入
+ */
+
+window.addEventListener('message', (event) => {
+  if (event.source !== window.parent || !event.data || event.data.action !== 'render') return;
+
+  document.open();
+  document.write(event.data.html);
+  document.close();
+
+  // document.open 会清除原有的事件监听，写入后再绑定关闭按钮
+  document.addEventListener('click', (e) => {
+    if (e.target.closest && e.target.closest('.close-btn')) {
+      window.parent.postMessage({ action: 'close' }, '*');
+    }
+  });
+});
+
+window.parent.postMessage({ action: 'ready' }, '*');
@@ -0,0 +1,49 @@
+/**
+ * HTML转PDF电子书生成器 - 电子书预览页
+ *
+ * 电子书HTML带有内联脚本（打印按钮、书签处理），扩展页面的CSP不允许执行内联脚本，
+ * 因此在沙箱页面 ebook-frame.html 中显示：本页从后台读取任务生成的HTML，通过 postMessage 交给沙箱页面
+ */
+
+class EbookViewer {
+  constructor() {
+    this.frame = document.getElementById('ebookFrame');
+    this.taskId = new URLSearchParams(location.search).get('task');
+
+    window.addEventListener('message', (event) => this.handleFrameMessage(event));
+  }
+
+  handleFrameMessage(event) {
+    if (event.source !== this.frame.contentWindow || !event.data) return;
+
+    switch (event.data.action) {
+      case 'ready':
+        this.load();
+        break;
+
+      case 'close':
+        // 沙箱页面无法关闭所在标签页
+        chrome.tabs.getCurrent(tab => {
+          if (tab) chrome.tabs.remove(tab.id);
+        });
+        break;
+    }
+  }
+
+  async load() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getGenerationResult', taskId: this.taskId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || '无法读取电子书内容');
+      }
+
+      document.title = response.title || document.title;
+      this.frame.contentWindow.postMessage({ action: 'render', html: response.html }, '*');
+    } catch (error) {
+      console.error('加载电子书失败:', error);
+      document.body.textContent = '❌ ' + error.message;
+    }
+  }
+}
+
+new EbookViewer();
@@ -0,0 +1,393 @@
+/**
+ * HTML转PDF电子书生成器 - 页面元素选取器
+ *
+ * 从弹窗启动，在页面上直接点选元素，代替手写 CSS 选择器：
+ * 1. 悬停时高亮鼠标下的元素，↑ 键改选上一级元素
+ * 2. 点击时按当前模式标记为正文、排除元素或导航容器（再次点击已排除的元素取消排除）
+ * 3. 为标记的元素生成稳定的选择器：优先使用非自动生成的 id、类名和语义属性，
+ *    避免依赖 :nth-of-type 等随页面结构变化的写法
+ *
+ * 结果以站点规则的格式返回（见 SiteRules），由调用方保存
+ */
+
+const ELEMENT_PICKER_MODES = {
+  content: { label: '正文', hint: '点击正文区域的根元素' },
+  exclude: { label: '排除', hint: '点击要从正文中移除的元素，再次点击取消' },
+  nav: { label: '导航', hint: '点击包含章节链接的导航容器' }
+};
+
+// 状态类名（高亮、展开等）在其他页面上不一定存在，不用于选择器
+const UNSTABLE_CLASS_PATTERN = /^(is-|has-)|^(active|current|selected|open|opened|expanded|collapsed|hover|focus|visible|hidden|show|fade|in)$/;
+
+class ElementPicker {
+  constructor() {
+    this.active = false;
+    this.mode = 'content';
+    this.rule = null;
+    this.hovered = null;
+    this.toolbar = null;
+    this.highlight = null;
+    this.listeners = [];
+  }
+
+  /**
+   * 进入选取模式，等待用户保存
+   * @param {Object} rule - 站点当前的规则，选取结果在此基础上修改
+   * @returns {Promise<Object>} {contentSelector, excludeSelectors, navSelector}；用户取消时 reject（error.cancelled = true）
+   */
+  pick(rule) {
+    this.rule = {
+      contentSelector: rule.contentSelector,
+      excludeSelectors: [...rule.excludeSelectors],
+      navSelector: rule.navSelector
+    };
+    this.mode = 'content';
+    this.active = true;
+
+    return new Promise((resolve, reject) => {
+      this.buildToolbar(
+        () => {
+          const result = this.rule;
+          this.close();
+          resolve(result);
+        },
+        () => {
+          this.close();
+          const error = new Error('已取消选取');
+          error.cancelled = true;
+          reject(error);
+        }
+      );
+      this.bindPageEvents();
+      this.renderMarks();
+      this.renderToolbar();
+    });
+  }
+
+  close() {
+    this.listeners.forEach(([type, handler]) => document.removeEventListener(type, handler, true));
+    this.listeners = [];
+    this.clearMarks();
+    if (this.toolbar) this.toolbar.remove();
+    if (this.highlight) this.highlight.remove();
+    this.toolbar = null;
+    this.highlight = null;
+    this.hovered = null;
+    this.active = false;
+  }
+
+  /**
+   * 在捕获阶段拦截页面事件，避免点击触发页面上的链接和脚本
+   */
+  bindPageEvents() {
+    const isPickerElement = target => this.toolbar.contains(target);
+
+    const listen = (type, handler) => {
+      document.addEventListener(type, handler, true);
+      this.listeners.push([type, handler]);
+    };
+
+    listen('mousemove', (e) => {
+      if (isPickerElement(e.target)) return;
+      this.hover(e.target);
+    });
+
+    ['mousedown', 'mouseup', 'click'].forEach(type => {
+      listen(type, (e) => {
+        if (isPickerElement(e.target)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (type === 'click' && this.hovered) {
+          this.mark(this.hovered);
+        }
+      });
+    });
+
+    listen('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.toolbar.querySelector('.pdf-element-picker-cancel').click();
+      } else if (e.key === 'ArrowUp' && this.hovered) {
+        e.preventDefault();
+        this.hover(this.hovered.parentElement);
+      }
+    });
+
+    listen('scroll', () => this.positionHighlight());
+  }
+
+  hover(element) {
+    if (!element || element === document.documentElement || element === document.body) return;
+
+    this.hovered = element;
+    this.positionHighlight();
+  }
+
+  positionHighlight() {
+    if (!this.hovered) return;
+
+    const rect = this.hovered.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    this.highlight.dataset.mode = this.mode;
+    this.highlight.firstChild.textContent = `${ELEMENT_PICKER_MODES[this.mode].label}: ${this.describe(this.hovered)}`;
+  }
+
+  /**
+   * 按当前模式标记元素
+   */
+  mark(element) {
+    if (this.mode === 'exclude') {
+      const existing = this.rule.excludeSelectors.filter(selector => this.safeMatches(element, selector));
+      if (existing.length > 0) {
+        this.rule.excludeSelectors = this.rule.excludeSelectors.filter(selector => !existing.includes(selector));
+      } else {
+        this.rule.excludeSelectors.push(this.buildSelector(element, { unique: false }));
+      }
+    } else {
+      const selector = this.buildSelector(element, { unique: true });
+      if (this.mode === 'content') {
+        this.rule.contentSelector = selector;
+      } else {
+        this.rule.navSelector = selector;
+      }
+    }
+
+    this.renderMarks();
+    this.renderToolbar();
+  }
+
+  /**
+   * 生成选择器
+   * unique 为 true 时只匹配该元素（正文、导航）；
+   * 为 false 时可以匹配多个同类元素（排除元素），但不能包含正文根元素
+   */
+  buildSelector(element, options = {}) {
+    const isValid = selector => this.isValidSelector(selector, element, options.unique !== false);
+
+    const candidate = this.getCandidates(element).find(isValid);
+    if (candidate) return candidate;
+
+    // 元素本身没有可用的特征时，从最近的有特征的祖先元素开始逐级写出路径
+    const parent = element.parentElement;
+    const local = this.getPathSegment(element);
+    if (!parent || parent === document.body || parent === document.documentElement) {
+      return `body > ${local}`;
+    }
+    return `${this.buildSelector(parent, { unique: true })} > ${local}`;
+  }
+
+  /**
+   * 候选选择器，按稳定程度排列
+   */
+  getCandidates(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+
+    if (element.id && this.isStableName(element.id)) {
+      candidates.push(`#${element.id}`);
+    }
+
+    const classes = this.getStableClasses(element);
+    classes.forEach(cls => candidates.push(`${tag}.${cls}`));
+
+    ['data-testid', 'role', 'aria-label', 'itemprop'].forEach(name => {
+      const value = element.getAttribute(name);
+      if (value) candidates.push(`${tag}[${name}="${value.replace(/["\\]/g, '\\$&')}"]`);
+    });
+
+    if (['main', 'article', 'nav', 'aside', 'header', 'footer'].includes(tag)) {
+      candidates.push(tag);
+    }
+
+    if (classes.length > 1) {
+      candidates.push(`${tag}.${classes.join('.')}`);
+    }
+
+    return candidates;
+  }
+
+  getPathSegment(element) {
+    const tag = element.tagName.toLowerCase();
+    const classes = this.getStableClasses(element);
+    const segment = classes.length > 0 ? `${tag}.${classes[0]}` : tag;
+
+    const siblings = Array.from(element.parentElement ? element.parentElement.children : [])
+      .filter(sibling => sibling.tagName === element.tagName);
+    if (siblings.length <= 1) return segment;
+    return `${segment}:nth-of-type(${siblings.indexOf(element) + 1})`;
+  }
+
+  isValidSelector(selector, element, unique) {
+    let matches;
+    try {
+      matches = Array.from(document.querySelectorAll(selector));
+    } catch (e) {
+      return false;
+    }
+
+    if (unique) {
+      return matches.length === 1 && matches[0] === element;
+    }
+
+    const contentRoot = this.querySelectorSafe(this.rule.contentSelector);
+    return matches.includes(element) && !matches.some(match => contentRoot && match.contains(contentRoot));
+  }
+
+  getStableClasses(element) {
+    return Array.from(element.classList)
+      .filter(cls => !cls.startsWith('pdf-element-picker') && !UNSTABLE_CLASS_PATTERN.test(cls) && this.isStableName(cls))
+      .slice(0, 3);
+  }
+
+  /**
+   * 排除自增编号和构建工具生成的哈希名（如 css-1x2y3z、Sidebar_nav__a1B2c）
+   */
+  isStableName(name) {
+    if (!/^[a-zA-Z_][\w-]*$/.test(name) || /\d{3,}/.test(name)) return false;
+    if (/^(css|sc|jsx|svelte|emotion)-/i.test(name)) return false;
+
+    const lastPart = name.split(/[-_]+/).pop();
+    return !(lastPart.length >= 5 && /\d/.test(lastPart) && /[a-zA-Z]/.test(lastPart));
+  }
+
+  describe(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const classes = this.getStableClasses(element).map(cls => `.${cls}`).join('');
+    return `${tag}${id}${classes}`;
+  }
+
+  querySelectorSafe(selector) {
+    if (!selector) return null;
+    try {
+      return document.querySelector(selector);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  safeMatches(element, selector) {
+    try {
+      return element.matches(selector);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 在页面上标出已选取的元素
+   */
+  renderMarks() {
+    this.clearMarks();
+
+    const markAll = (selector, mode) => {
+      try {
+        document.querySelectorAll(selector).forEach(el => el.classList.add(`pdf-element-picker-${mode}`));
+      } catch (e) {
+        // 用户手写的无效选择器不标记
+      }
+    };
+
+    if (this.rule.contentSelector) markAll(this.rule.contentSelector, 'content');
+    if (this.rule.navSelector) markAll(this.rule.navSelector, 'nav');
+    this.rule.excludeSelectors.forEach(selector => markAll(selector, 'exclude'));
+  }
+
+  clearMarks() {
+    Object.keys(ELEMENT_PICKER_MODES).forEach(mode => {
+      document.querySelectorAll(`.pdf-element-picker-${mode}`).forEach(el => {
+        el.classList.remove(`pdf-element-picker-${mode}`);
+      });
+    });
+  }
+
+  buildToolbar(onSave, onCancel) {
+    this.highlight = document.createElement('div');
+    this.highlight.className = 'pdf-element-picker-highlight';
+    this.highlight.appendChild(document.createElement('span'));
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'pdf-element-picker';
+
+    const modes = document.createElement('div');
+    modes.className = 'pdf-element-picker-modes';
+    Object.entries(ELEMENT_PICKER_MODES).forEach(([mode, { label }]) => {
+      const button = this.createButton(label, () => {
+        this.mode = mode;
+        this.renderToolbar();
+        this.positionHighlight();
+      });
+      button.dataset.mode = mode;
+      modes.appendChild(button);
+    });
+
+    const hint = document.createElement('p');
+    hint.className = 'pdf-element-picker-hint';
+
+    const list = document.createElement('ul');
+    list.className = 'pdf-element-picker-list';
+
+    const footer = document.createElement('div');
+    footer.className = 'pdf-element-picker-footer';
+    const cancelBtn = this.createButton('取消', onCancel);
+    cancelBtn.classList.add('pdf-element-picker-cancel');
+    const saveBtn = this.createButton('保存规则', onSave);
+    saveBtn.classList.add('pdf-element-picker-primary');
+    footer.append(cancelBtn, saveBtn);
+
+    this.toolbar.append(modes, hint, list, footer);
+    document.body.append(this.highlight, this.toolbar);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * 工具栏显示当前模式和已选取的选择器，每项可以单独删除
+   */
+  renderToolbar() {
+    this.toolbar.querySelectorAll('.pdf-element-picker-modes button').forEach(button => {
+      button.classList.toggle('is-current', button.dataset.mode === this.mode);
+    });
+    this.toolbar.querySelector('.pdf-element-picker-hint').textContent =
+      `${ELEMENT_PICKER_MODES[this.mode].hint}；↑ 选择上一级元素，Esc 取消`;
+
+    const items = [
+      ...(this.rule.contentSelector ? [['content', this.rule.contentSelector]] : []),
+      ...(this.rule.navSelector ? [['nav', this.rule.navSelector]] : []),
+      ...this.rule.excludeSelectors.map(selector => ['exclude', selector])
+    ];
+
+    const list = this.toolbar.querySelector('.pdf-element-picker-list');
+    list.innerHTML = '';
+    items.forEach(([mode, selector]) => {
+      const row = document.createElement('li');
+      row.dataset.mode = mode;
+
+      const label = document.createElement('span');
+      label.textContent = `${ELEMENT_PICKER_MODES[mode].label}: ${selector}`;
+
+      const removeBtn = this.createButton('×', () => {
+        if (mode === 'content') this.rule.contentSelector = '';
+        if (mode === 'nav') this.rule.navSelector = '';
+        if (mode === 'exclude') this.rule.excludeSelectors = this.rule.excludeSelectors.filter(item => item !== selector);
+        this.renderMarks();
+        this.renderToolbar();
+      });
+
+      row.append(label, removeBtn);
+      list.appendChild(row);
+    });
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * HTML转PDF电子书生成器 - 离屏文档
+ *
+ * 后台服务 worker 没有 DOMParser，页面解析、电子书排版和 ZIP 打包都在这里进行。
+ * 复用内容脚本中的 EnhancedPDFGenerator，只替换与所在页面相关的部分：
+ * 1. 起始页面（地址、标题、正文）来自任务，而不是当前文档
+ * 2. 配置由后台随任务传入（离屏文档只能使用 chrome.runtime）
+ * 3. 进度、电子书预览和文件下载通过消息交给后台处理
+ * 4. 已完成的页面和图片保存到 JobStore，中断后继续导出时跳过
+ */
+
+class OffscreenGenerator extends EnhancedPDFGenerator {
+  init() {
+    this.task = null; // 正在执行的任务 {id, type, startPage, options, config, resume}
+    this.jobStore = new JobStore();
+    this.savedPages = new Map(); // 本任务已完成的页面：URL -> 抓取结果
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // 后台广播给弹窗的消息也会送到这里，只处理发给离屏文档的消息
+      if (message.target !== 'offscreen') return false;
+      this.handleMessage(message, sender, sendResponse);
+      return true;
+    });
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    switch (message.action) {
+      case 'runGeneration':
+        if (this.task) {
+          sendResponse({ success: false, error: '已有导出任务正在进行' });
+          return;
+        }
+        this.runTask(message.task);
+        sendResponse({ success: true });
+        break;
+
+      case 'getCurrentTask':
+        sendResponse({ taskId: this.task ? this.task.id : null });
+        break;
+
+      case 'cancelGeneration':
+        if (this.task && this.task.id === message.taskId) {
+          this.cancelGeneration();
+        }
+        sendResponse({ success: true });
+        break;
+
+      default:
+        sendResponse({ error: '未知操作' });
+    }
+  }
+
+  /**
+   * 执行导出任务，结束后把结果告诉后台
+   * 继续导出时读取已保存的页面，成功或取消后删除任务记录，失败时保留以便继续
+   */
+  async runTask(task) {
+    this.task = task;
+    console.log(`📦 ${task.resume ? '继续' : '开始'}导出任务: ${task.id} (${task.type})`);
+
+    let result;
+    try {
+      await this.restoreJob(task);
+
+      if (task.type === 'markdown') {
+        await this.generateCompleteMarkdown(task.options);
+      } else {
+        await this.generateCompletePDF(task.options);
+      }
+      result = { success: true, boilerplate: this.boilerplateSummary };
+    } catch (error) {
+      result = { success: false, cancelled: !!error.cancelled, error: error.message };
+    }
+
+    await this.persist(() => result.success || result.cancelled
+      ? this.jobStore.deleteJob(task.id)
+      : this.jobStore.updateJob(task.id, { status: 'failed', error: result.error }));
+
+    this.notifyBackground('generationFinished', result);
+    this.task = null;
+    this.savedPages = new Map();
+  }
+
+  /**
+   * 新任务写入任务记录；继续导出时读取已完成的页面
+   */
+  async restoreJob(task) {
+    if (!task.resume) {
+      this.savedPages = new Map();
+      await this.persist(() => this.jobStore.saveJob({
+        id: task.id,
+        type: task.type,
+        title: task.options.title,
+        url: task.startPage.url,
+        startPage: task.startPage,
+        options: task.options,
+        status: 'running',
+        completedPages: 0,
+        totalPages: 0
+      }));
+      return;
+    }
+
+    this.savedPages = await this.jobStore.getPages(task.id);
+    await this.persist(() => this.jobStore.updateJob(task.id, { status: 'running', error: null }));
+    console.log(`♻️ 继续导出，已完成 ${this.savedPages.size} 个页面`);
+    this.updateProgress(`继续导出：已完成 ${this.savedPages.size} 个页面，跳过已抓取的内容...`);
+  }
+
+  /**
+   * 写入任务存储，失败（如磁盘配额不足）时只影响中断后继续，不中断导出
+   */
+  async persist(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.warn('⚠️ 保存导出进度失败:', error);
+    }
+  }
+
+  /**
+   * 已完成的页面直接使用保存的结果，新抓取成功的页面保存下来
+   * 失败的页面不保存，继续导出时会重新抓取
+   */
+  async fetchPageEntry(link, index) {
+    const saved = this.savedPages.get(link.url);
+    if (saved) {
+      console.log(`♻️ 使用已保存的页面: ${link.title}`);
+      return { success: true, entry: { ...saved.entry, index } };
+    }
+
+    const result = await super.fetchPageEntry(link, index);
+    if (result.success) {
+      this.savedPages.set(link.url, result);
+      await this.persist(async () => {
+        await this.jobStore.savePage(this.task.id, link.url, result);
+        await this.jobStore.updateJob(this.task.id, {
+          completedPages: this.savedPages.size,
+          totalPages: this.totalPages
+        });
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 已下载的图片同样保存在任务存储中
+   */
+  async downloadImageAsBlob(imageUrl) {
+    let saved = null;
+    await this.persist(async () => {
+      saved = await this.jobStore.getImage(this.task.id, imageUrl);
+    });
+    if (saved) {
+      return { blob: saved.blob, extension: saved.extension };
+    }
+
+    const result = await super.downloadImageAsBlob(imageUrl);
+    if (result.blob) {
+      await this.persist(() => this.jobStore.saveImage(this.task.id, imageUrl, {
+        blob: result.blob,
+        extension: result.extension
+      }));
+    }
+    return result;
+  }
+
+  /**
+   * 向后台报告任务状态，后台不可用时忽略
+   */
+  notifyBackground(action, data = {}) {
+    chrome.runtime.sendMessage({ action, taskId: this.task.id, ...data }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+
+  getPageUrl() {
+    return this.task ? this.task.startPage.url : window.location.href;
+  }
+
+  getPageTitle() {
+    return this.task.startPage.title || '未命名页面';
+  }
+
+  getStartPageContent() {
+    return this.task.startPage.content;
+  }
+
+  async loadConfig() {
+    this.config.config = this.config.mergeDeep(this.config.defaultConfig, this.task.config || {});
+  }
+
+  // 进度由后台转发给弹窗和发起任务的标签页
+  showProgressPanel() {}
+
+  hideProgressPanel() {}
+
+  updateProgress(text) {
+    const percent = this.totalPages > 0 ? Math.round((this.currentProgress / this.totalPages) * 100) : 0;
+    this.notifyBackground('generationProgress', { text, percent });
+  }
+
+  showError(message) {
+    console.error('❌ 导出失败:', message);
+  }
+
+  /**
+   * 离屏文档不能打开窗口，电子书由后台在新标签页中打开
+   */
+  async createPDFPreviewWindow(htmlContent, options) {
+    const response = await this.sendRuntimeMessage({
+      action: 'openEbookViewer',
+      taskId: this.task.id,
+      title: options.title,
+      html: htmlContent
+    });
+    if (!response.success) {
+      throw new Error(response.error || '无法打开电子书预览');
+    }
+  }
+
+  /**
+   * 离屏文档中的链接点击不会触发下载，改用 chrome.downloads
+   */
+  async saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const response = await this.sendRuntimeMessage({ action: 'downloadFile', url, filename });
+
+    // 下载开始后浏览器仍可能在读取 Blob，稍后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+    if (!response.success) {
+      throw new Error(response.error || '下载失败');
+    }
+  }
+}
+
+new OffscreenGenerator();
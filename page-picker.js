@@ -0,0 +1,287 @@
+/**
+ * HTML转PDF电子书生成器 - 页面选择器
+ *
+ * 在发现页面之后、批量抓取之前弹出，让用户确定电子书包含哪些章节：
+ * 1. 勾选/取消单个页面或整个子树
+ * 2. 拖拽调整顺序（连同子树一起移动）
+ * 3. 修改章节标题
+ * 4. 手动添加额外的页面URL
+ *
+ * 页面列表沿用 discoverAllPages 的扁平结构 {url, title, level, isSection}
+ */
+
+class PagePicker {
+  constructor() {
+    this.items = [];
+    this.overlay = null;
+    this.listEl = null;
+    this.confirmBtn = null;
+    this.dragIndex = null;
+  }
+
+  /**
+   * 显示选择器并等待用户确认
+   * @param {Array} pages - 发现的页面列表
+   * @returns {Promise<Array>} 用户勾选的页面列表；用户取消时 reject（error.cancelled = true）
+   */
+  pick(pages) {
+    this.items = pages.map(page => ({ ...page, checked: true }));
+
+    return new Promise((resolve, reject) => {
+      this.buildOverlay(
+        () => {
+          const selection = this.getSelection();
+          this.close();
+          resolve(selection);
+        },
+        () => {
+          this.close();
+          const error = new Error('已取消生成');
+          error.cancelled = true;
+          reject(error);
+        }
+      );
+      this.renderList();
+    });
+  }
+
+  close() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  /**
+   * 最终选择：只保留勾选的条目（空分组由调用方清理）
+   */
+  getSelection() {
+    return this.items
+      .filter(item => item.checked)
+      .map(({ checked, ...page }) => page);
+  }
+
+  getSelectedPageCount() {
+    return this.items.filter(item => item.checked && !item.isSection).length;
+  }
+
+  /**
+   * 子树结束位置（不含）：其后所有层级更深的条目都属于该子树
+   */
+  subtreeEnd(index) {
+    let end = index + 1;
+    while (end < this.items.length && this.items[end].level > this.items[index].level) {
+      end++;
+    }
+    return end;
+  }
+
+  setSubtreeChecked(index, checked) {
+    const end = this.subtreeEnd(index);
+    for (let i = index; i < end; i++) {
+      this.items[i].checked = checked;
+    }
+  }
+
+  /**
+   * 将 from 处的子树移动到 to 之前，层级调整为目标位置的层级
+   */
+  moveSubtree(from, to) {
+    const end = this.subtreeEnd(from);
+    if (to >= from && to <= end) return;
+
+    const block = this.items.splice(from, end - from);
+    const insertAt = to > from ? to - block.length : to;
+    const targetLevel = insertAt < this.items.length ? this.items[insertAt].level : 1;
+    const delta = targetLevel - block[0].level;
+
+    block.forEach(item => {
+      item.level = Math.min(Math.max(item.level + delta, 1), 6);
+    });
+
+    this.items.splice(insertAt, 0, ...block);
+  }
+
+  addUrl(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl.trim(), window.location.href);
+    } catch {
+      alert('❌ 无效的URL: ' + rawUrl);
+      return false;
+    }
+
+    if (!/^https?:$/.test(url.protocol)) {
+      alert('❌ 只支持 http/https 链接');
+      return false;
+    }
+
+    if (this.items.some(item => item.url === url.href)) {
+      alert('⚠️ 该页面已在列表中');
+      return false;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    this.items.push({
+      url: url.href,
+      title: decodeURIComponent(segments[segments.length - 1] || url.hostname).replace(/\.[^/.]+$/, ''),
+      level: 1,
+      preferPageTitle: true,
+      checked: true
+    });
+    return true;
+  }
+
+  buildOverlay(onConfirm, onCancel) {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'pdf-generator-overlay pdf-page-picker-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'pdf-page-picker';
+
+    const header = document.createElement('div');
+    header.className = 'pdf-page-picker-header';
+    header.innerHTML = `
+      <h3>📑 选择要包含的页面</h3>
+      <p>勾选或取消页面（连同子页面），拖动 ⋮⋮ 调整顺序，直接编辑标题</p>`;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'pdf-page-picker-toolbar';
+    const selectAllBtn = this.createButton('全选', () => {
+      this.items.forEach(item => { item.checked = true; });
+      this.renderList();
+    });
+    const selectNoneBtn = this.createButton('全不选', () => {
+      this.items.forEach(item => { item.checked = false; });
+      this.renderList();
+    });
+    toolbar.append(selectAllBtn, selectNoneBtn);
+
+    this.listEl = document.createElement('ul');
+    this.listEl.className = 'pdf-page-picker-list';
+
+    // 拖到列表末尾的空白处时移动到最后
+    this.listEl.addEventListener('dragover', (e) => e.preventDefault());
+    this.listEl.addEventListener('drop', (e) => {
+      if (e.target === this.listEl && this.dragIndex !== null) {
+        e.preventDefault();
+        this.moveSubtree(this.dragIndex, this.items.length);
+        this.dragIndex = null;
+        this.renderList();
+      }
+    });
+
+    const addRow = document.createElement('div');
+    addRow.className = 'pdf-page-picker-add';
+    const addInput = document.createElement('input');
+    addInput.type = 'text';
+    addInput.placeholder = '手动添加页面URL，回车确认';
+    const addBtn = this.createButton('➕ 添加', () => {
+      if (addInput.value.trim() && this.addUrl(addInput.value)) {
+        addInput.value = '';
+        this.renderList();
+        this.listEl.scrollTop = this.listEl.scrollHeight;
+      }
+    });
+    addInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addBtn.click();
+    });
+    addRow.append(addInput, addBtn);
+
+    const footer = document.createElement('div');
+    footer.className = 'pdf-page-picker-footer';
+    const cancelBtn = this.createButton('取消', onCancel);
+    this.confirmBtn = this.createButton('开始生成', () => {
+      if (this.getSelectedPageCount() === 0) {
+        alert('⚠️ 请至少选择一个页面');
+        return;
+      }
+      onConfirm();
+    });
+    this.confirmBtn.classList.add('pdf-page-picker-primary');
+    footer.append(cancelBtn, this.confirmBtn);
+
+    dialog.append(header, toolbar, this.listEl, addRow, footer);
+    this.overlay.appendChild(dialog);
+    document.body.appendChild(this.overlay);
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  renderList() {
+    this.listEl.innerHTML = '';
+
+    this.items.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = 'pdf-page-picker-row' + (item.isSection ? ' is-section' : '') + (item.checked ? '' : ' is-unchecked');
+      row.style.paddingLeft = `${(item.level - 1) * 18 + 6}px`;
+      row.draggable = true;
+
+      const handle = document.createElement('span');
+      handle.className = 'pdf-page-picker-handle';
+      handle.textContent = '⋮⋮';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.checked;
+      checkbox.addEventListener('change', () => {
+        this.setSubtreeChecked(index, checkbox.checked);
+        this.renderList();
+      });
+
+      const titleInput = document.createElement('input');
+      titleInput.type = 'text';
+      titleInput.className = 'pdf-page-picker-title';
+      titleInput.value = item.title || '';
+      titleInput.addEventListener('input', () => {
+        item.title = titleInput.value;
+        // 用户手动命名后不再用抓取到的页面标题覆盖
+        item.preferPageTitle = false;
+      });
+      // 避免在输入框内拖动选择文字时触发整行拖拽
+      titleInput.addEventListener('mousedown', () => { row.draggable = false; });
+      titleInput.addEventListener('mouseup', () => { row.draggable = true; });
+
+      const urlLabel = document.createElement('span');
+      urlLabel.className = 'pdf-page-picker-url';
+      urlLabel.textContent = item.isSection ? '分组' : item.url;
+      urlLabel.title = item.url || '';
+
+      row.addEventListener('dragstart', (e) => {
+        this.dragIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+        row.classList.add('is-dragging');
+      });
+      row.addEventListener('dragend', () => {
+        row.classList.remove('is-dragging');
+      });
+      row.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        row.classList.add('is-drop-target');
+      });
+      row.addEventListener('dragleave', () => {
+        row.classList.remove('is-drop-target');
+      });
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.dragIndex !== null) {
+          this.moveSubtree(this.dragIndex, index);
+          this.dragIndex = null;
+          this.renderList();
+        }
+      });
+
+      row.append(handle, checkbox, titleInput, urlLabel);
+      this.listEl.appendChild(row);
+    });
+
+    this.confirmBtn.textContent = `开始生成 (${this.getSelectedPageCount()} 页)`;
+  }
+}
@@ -5,11 +5,18 @@
  * 类似于C++中的事件处理系统，但使用Web技术实现
  */
 
+// 缓存设置在界面上以天和MB显示，配置中保存毫秒和字节
+const DAY_MS = 24 * 3600000;
+const MB = 1024 * 1024;
+
 class PDFGeneratorPopup {
   constructor() {
     this.currentTab = null;
     this.pageContent = null;
     this.isGenerating = false;
+    this.taskId = null; // 后台导出任务ID，弹窗关闭后任务继续进行
+    this.resumableTask = null; // 最近一个中断或失败、可以继续的任务
+    this.config = new ConfigManager(); // 抓取速率等高级配置
     
     // 绑定DOM元素 - 类似C++中的成员变量初始化
     this.elements = {
@@ -17,15 +24,56 @@ class PDFGeneratorPopup {
       bookTitle: document.getElementById('bookTitle'),
       authorName: document.getElementById('authorName'),
       pageSize: document.getElementById('pageSize'),
+      discoveryMode: document.getElementById('discoveryMode'),
+      crawlMaxDepth: document.getElementById('crawlMaxDepth'),
+      crawlMaxPages: document.getElementById('crawlMaxPages'),
+      nextMaxPages: document.getElementById('nextMaxPages'),
+      nextSelectors: document.getElementById('nextSelectors'),
+      fetchMode: document.getElementById('fetchMode'),
+      renderWaitSelector: document.getElementById('renderWaitSelector'),
+      pickPages: document.getElementById('pickPages'),
+      maxConcurrency: document.getElementById('maxConcurrency'),
+      requestDelay: document.getElementById('requestDelay'),
+      respectRobotsTxt: document.getElementById('respectRobotsTxt'),
+      useSession: document.getElementById('useSession'),
+      sessionDomains: document.getElementById('sessionDomains'),
+      cacheEnabled: document.getElementById('cacheEnabled'),
+      cacheTtlDays: document.getElementById('cacheTtlDays'),
+      cacheMaxSizeMB: document.getElementById('cacheMaxSizeMB'),
+      cacheStats: document.getElementById('cacheStats'),
+      clearCacheBtn: document.getElementById('clearCacheBtn'),
       includeImages: document.getElementById('includeImages'),
       includeToc: document.getElementById('includeToc'),
       includeLinks: document.getElementById('includeLinks'),
+      includeReport: document.getElementById('includeReport'),
+      removeBoilerplate: document.getElementById('removeBoilerplate'),
+      scopeSameOrigin: document.getElementById('scopeSameOrigin'),
+      scopePathPrefix: document.getElementById('scopePathPrefix'),
+      scopeInclude: document.getElementById('scopeInclude'),
+      scopeExclude: document.getElementById('scopeExclude'),
+      ruleContentSelector: document.getElementById('ruleContentSelector'),
+      ruleExcludeSelectors: document.getElementById('ruleExcludeSelectors'),
+      ruleTitleSelector: document.getElementById('ruleTitleSelector'),
+      ruleNavSelector: document.getElementById('ruleNavSelector'),
+      ruleStripBefore: document.getElementById('ruleStripBefore'),
+      ruleStripAfter: document.getElementById('ruleStripAfter'),
+      pickElementsBtn: document.getElementById('pickElementsBtn'),
+      manageRulesBtn: document.getElementById('manageRulesBtn'),
+      siteRuleStatus: document.getElementById('siteRuleStatus'),
       generateBtn: document.getElementById('generateBtn'),
       previewBtn: document.getElementById('previewBtn'),
       generateMarkdownBtn: document.getElementById('generateMarkdownBtn'),
       progressSection: document.getElementById('progressSection'),
       progressFill: document.getElementById('progressFill'),
-      progressText: document.getElementById('progressText')
+      progressText: document.getElementById('progressText'),
+      cancelBtn: document.getElementById('cancelBtn'),
+      resumeSection: document.getElementById('resumeSection'),
+      resumeText: document.getElementById('resumeText'),
+      resumeBtn: document.getElementById('resumeBtn'),
+      discardBtn: document.getElementById('discardBtn'),
+      boilerplateSection: document.getElementById('boilerplateSection'),
+      boilerplateText: document.getElementById('boilerplateText'),
+      boilerplateList: document.getElementById('boilerplateList')
     };
     
     this.init();
@@ -35,9 +83,15 @@ class PDFGeneratorPopup {
     try {
       // 获取当前活动标签页 - 类似系统调用获取当前进程信息
       await this.getCurrentTab();
+      await this.loadSavedSettings();
+      await this.loadScopeRules();
+      await this.loadCrawlerConfig();
+      this.loadSiteRule();
+      this.refreshCacheStats();
       await this.getPageInfo();
       this.bindEvents();
-      this.loadSavedSettings();
+      await this.restoreTask();
+      await this.loadResumableTask();
     } catch (error) {
       console.error('初始化失败:', error);
       this.showError('插件初始化失败，请刷新页面重试');
@@ -64,7 +118,8 @@ class PDFGeneratorPopup {
       // 向content script发送消息获取页面信息
       // 这里使用消息传递机制，类似进程间通信(IPC)
       const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-        action: 'getPageInfo'
+        action: 'getPageInfo',
+        scope: this.getScopeRules()
       });
       
       if (response) {
@@ -73,6 +128,11 @@ class PDFGeneratorPopup {
           this.elements.bookTitle.value = response.title;
         }
         
+        // 作者不自动填入（设置会保存到其他站点），只作为提示
+        if (response.author) {
+          this.elements.authorName.placeholder = `留空则使用页面标注的作者: ${response.author}`;
+        }
+        
         this.pageContent = response;
       }
     } catch (error) {
@@ -85,17 +145,61 @@ class PDFGeneratorPopup {
     this.elements.generateBtn.addEventListener('click', () => this.handleGenerate());
     this.elements.previewBtn.addEventListener('click', () => this.handlePreview());
     this.elements.generateMarkdownBtn.addEventListener('click', () => this.handleGenerateMarkdown());
+    this.elements.cancelBtn.addEventListener('click', () => this.handleCancel());
+    this.elements.resumeBtn.addEventListener('click', () => this.handleResume());
+    this.elements.discardBtn.addEventListener('click', () => this.handleDiscard());
+    
+    // 后台广播的导出任务进度
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'generationUpdate') {
+        this.showTaskUpdate(message.task);
+      }
+    });
     
     // 输入变化时保存设置
     [this.elements.bookTitle, this.elements.authorName].forEach(input => {
       input.addEventListener('input', () => this.saveSettings());
     });
     
-    [this.elements.includeImages, this.elements.includeToc, this.elements.includeLinks].forEach(checkbox => {
+    [this.elements.includeImages, this.elements.includeToc, this.elements.includeLinks, this.elements.includeReport, this.elements.removeBoilerplate, this.elements.pickPages].forEach(checkbox => {
       checkbox.addEventListener('change', () => this.saveSettings());
     });
     
     this.elements.pageSize.addEventListener('change', () => this.saveSettings());
+    [this.elements.discoveryMode, this.elements.crawlMaxDepth, this.elements.crawlMaxPages,
+     this.elements.nextMaxPages, this.elements.nextSelectors,
+     this.elements.fetchMode, this.elements.renderWaitSelector].forEach(input => {
+      input.addEventListener('change', () => this.saveSettings());
+    });
+    
+    // 抓取速率保存在 crawler 配置中
+    [this.elements.maxConcurrency, this.elements.requestDelay, this.elements.respectRobotsTxt].forEach(input => {
+      input.addEventListener('change', () => this.saveCrawlerConfig());
+    });
+    
+    // 登录状态设置保存在配置中
+    [this.elements.useSession, this.elements.sessionDomains].forEach(input => {
+      input.addEventListener('change', () => this.saveAuthConfig());
+    });
+    
+    // 缓存设置同样保存在配置中
+    [this.elements.cacheEnabled, this.elements.cacheTtlDays, this.elements.cacheMaxSizeMB].forEach(input => {
+      input.addEventListener('change', () => this.saveCacheConfig());
+    });
+    this.elements.clearCacheBtn.addEventListener('click', () => this.handleClearCache());
+    
+    // 抓取范围按站点保存
+    [this.elements.scopePathPrefix, this.elements.scopeInclude, this.elements.scopeExclude].forEach(input => {
+      input.addEventListener('input', () => this.saveScopeRules());
+    });
+    this.elements.scopeSameOrigin.addEventListener('change', () => this.saveScopeRules());
+    
+    // 站点提取规则保存在配置中，按站点区分
+    this.getSiteRuleInputs().forEach(input => {
+      input.addEventListener('input', () => this.saveSiteRule());
+    });
+    this.elements.pickElementsBtn.addEventListener('click', () => this.handlePickElements());
+    this.elements.manageRulesBtn.addEventListener('click', () => this.handleManageRules());
   }
   
   async handleGenerate() {
@@ -104,28 +208,23 @@ class PDFGeneratorPopup {
     try {
       this.isGenerating = true;
       this.showProgress('开始分析页面结构...');
+      this.toggleCancelButton(true);
       
       // 获取生成选项
       const options = this.getGenerationOptions();
       
-      // 发送生成请求到content script
+      // 内容脚本收集起始页面和页面列表后，在后台启动导出任务
       const response = await chrome.tabs.sendMessage(this.currentTab.id, {
         action: 'generatePDF',
         options: options
       });
       
-      if (response && response.success) {
-        this.showProgress('PDF生成完成！');
-        setTimeout(() => this.hideProgress(), 2000);
-      } else {
-        throw new Error(response?.error || 'PDF生成失败');
-      }
+      this.handleTaskStarted(response, 'PDF生成失败');
       
     } catch (error) {
       console.error('生成PDF失败:', error);
-      this.showError('生成失败: ' + error.message);
-    } finally {
       this.isGenerating = false;
+      this.showError('生成失败: ' + error.message);
     }
   }
   
@@ -135,6 +234,7 @@ class PDFGeneratorPopup {
     try {
       this.isGenerating = true;
       this.showProgress('开始导出Markdown...');
+      this.toggleCancelButton(true);
       
       const options = this.getGenerationOptions();
       
@@ -143,30 +243,192 @@ class PDFGeneratorPopup {
         options: options
       });
       
-      if (response && response.success) {
-        this.showProgress('Markdown导出完成！');
-        setTimeout(() => {
-          this.hideProgress();
-          window.close();
-        }, 2000);
-      } else {
-        throw new Error(response?.error || 'Markdown导出失败');
-      }
+      this.handleTaskStarted(response, 'Markdown导出失败');
       
     } catch (error) {
       console.error('导出Markdown失败:', error);
+      this.isGenerating = false;
       this.showError('导出失败: ' + error.message);
-    } finally {
+    }
+  }
+  
+  /**
+   * 处理内容脚本启动任务的结果，之后的进度由后台广播
+   */
+  handleTaskStarted(response, failureMessage) {
+    if (response && response.success) {
+      this.taskId = response.taskId;
+      this.showProgress('已在后台开始导出，关闭此窗口不影响导出');
+      this.toggleCancelButton(true);
+    } else if (response && response.cancelled) {
+      this.isGenerating = false;
+      this.showCancelled();
+    } else {
+      throw new Error(response?.error || failureMessage);
+    }
+  }
+  
+  /**
+   * 弹窗重新打开时恢复正在进行的任务的进度显示，或上次完成的任务移除的重复内容
+   */
+  async restoreTask() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getGenerationStatus' });
+      const task = response && response.status;
+      if (task && (task.status === 'running' || task.status === 'cancelling')) {
+        this.isGenerating = true;
+        this.taskId = task.id;
+        this.showProgress(task.text, task.progress);
+        this.toggleCancelButton(task.status === 'running');
+      } else if (task && task.status === 'completed') {
+        // 弹窗在导出完成前关闭时，重新打开后仍可核对移除的重复内容
+        this.showBoilerplateSummary(task.boilerplate);
+      }
+    } catch (error) {
+      console.log('读取导出任务状态失败:', error);
+    }
+  }
+  
+  /**
+   * 显示后台任务的进度和结果
+   */
+  showTaskUpdate(task) {
+    if (!task || task.id !== this.taskId) return;
+    
+    if (task.status === 'running' || task.status === 'cancelling') {
+      this.elements.progressText.textContent = task.text;
+      this.elements.progressFill.style.width = `${task.progress}%`;
+      this.showBoilerplateSummary([]);
+      return;
+    }
+    
+    this.isGenerating = false;
+    this.taskId = null;
+    
+    if (task.status === 'completed') {
+      this.showProgress(task.type === 'markdown' ? 'Markdown导出完成！' : 'PDF生成完成！', 100);
+      setTimeout(() => this.hideProgress(), 2000);
+      this.showBoilerplateSummary(task.boilerplate);
+    } else if (task.status === 'cancelled') {
+      this.showCancelled();
+    } else {
+      this.showError('生成失败: ' + task.error);
+      this.loadResumableTask();
+    }
+  }
+  
+  /**
+   * 导出完成后列出跨页面移除的重复内容，便于核对是否误删
+   */
+  showBoilerplateSummary(blocks = []) {
+    this.elements.boilerplateSection.style.display = blocks.length > 0 ? 'block' : 'none';
+    this.elements.boilerplateList.innerHTML = '';
+    if (blocks.length === 0) return;
+    
+    this.elements.boilerplateText.textContent = `已移除 ${blocks.length} 种各页面重复的内容：`;
+    blocks.forEach(block => {
+      const item = document.createElement('li');
+      item.textContent = `${block.sample}（${block.pages} 个页面）`;
+      this.elements.boilerplateList.appendChild(item);
+    });
+  }
+  
+  /**
+   * 显示上次中断或失败的任务，可以从已完成的页面继续
+   */
+  async loadResumableTask() {
+    if (this.isGenerating) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getResumableGeneration' });
+      this.resumableTask = response && response.task;
+    } catch (error) {
+      console.log('读取未完成任务失败:', error);
+      this.resumableTask = null;
+    }
+    
+    const task = this.resumableTask;
+    this.elements.resumeSection.style.display = task ? 'block' : 'none';
+    if (!task) return;
+    
+    const done = task.totalPages ? `${task.completedPages}/${task.totalPages}` : task.completedPages;
+    const reason = task.status === 'failed' ? `失败：${task.error}` : '已中断';
+    this.elements.resumeText.textContent = `上次导出《${task.title}》${reason}，已完成 ${done} 个页面`;
+    this.elements.resumeText.title = task.url;
+  }
+  
+  async handleResume() {
+    if (this.isGenerating || !this.resumableTask) return;
+    
+    try {
+      this.isGenerating = true;
+      this.elements.resumeSection.style.display = 'none';
+      this.showProgress('正在继续导出...');
+      
+      const response = await chrome.runtime.sendMessage({
+        action: 'resumeGeneration',
+        taskId: this.resumableTask.id
+      });
+      this.handleTaskStarted(response, '继续导出失败');
+      
+    } catch (error) {
+      console.error('继续导出失败:', error);
       this.isGenerating = false;
+      this.showError('继续导出失败: ' + error.message);
+      this.loadResumableTask();
     }
   }
   
+  async handleDiscard() {
+    if (!this.resumableTask) return;
+    
+    try {
+      await chrome.runtime.sendMessage({ action: 'discardGeneration', taskId: this.resumableTask.id });
+    } catch (error) {
+      console.error('删除未完成任务失败:', error);
+    }
+    this.loadResumableTask();
+  }
+  
+  /**
+   * 取消正在进行的导出
+   * 任务已在后台启动时通知后台；仍在标签页中发现或选择页面时通知内容脚本
+   */
+  async handleCancel() {
+    if (!this.isGenerating) return;
+    
+    this.elements.cancelBtn.disabled = true;
+    this.elements.progressText.textContent = '正在取消...';
+    
+    try {
+      if (this.taskId) {
+        await chrome.runtime.sendMessage({ action: 'cancelGeneration', taskId: this.taskId });
+      } else {
+        await chrome.tabs.sendMessage(this.currentTab.id, { action: 'cancelPDFGeneration' });
+      }
+    } catch (error) {
+      console.error('取消失败:', error);
+      this.elements.cancelBtn.disabled = false;
+    }
+  }
+  
+  showCancelled() {
+    this.showProgress('已取消生成');
+    setTimeout(() => this.hideProgress(), 1500);
+  }
+  
+  toggleCancelButton(visible) {
+    this.elements.cancelBtn.style.display = visible ? 'block' : 'none';
+    this.elements.cancelBtn.disabled = false;
+  }
+  
   async handlePreview() {
     try {
       this.showProgress('正在预览内容...');
       
       const response = await chrome.tabs.sendMessage(this.currentTab.id, {
-        action: 'previewContent'
+        action: 'previewContent',
+        scope: this.getScopeRules()
       });
       
       if (response && response.success) {
@@ -187,19 +449,55 @@ class PDFGeneratorPopup {
   getGenerationOptions() {
     return {
       title: this.elements.bookTitle.value || this.currentTab.title,
-      author: this.elements.authorName.value || '未知作者',
+      // 留空时使用页面标注的作者
+      author: this.elements.authorName.value.trim(),
       pageSize: this.elements.pageSize.value,
+      discoveryMode: this.elements.discoveryMode.value,
+      crawl: {
+        maxDepth: parseInt(this.elements.crawlMaxDepth.value, 10),
+        maxPages: parseInt(this.elements.crawlMaxPages.value, 10)
+      },
+      next: {
+        maxPages: parseInt(this.elements.nextMaxPages.value, 10),
+        selectors: this.splitLines(this.elements.nextSelectors.value)
+      },
+      fetchMode: this.elements.fetchMode.value,
+      renderWaitSelector: this.elements.renderWaitSelector.value.trim(),
+      pickPages: this.elements.pickPages.checked,
       includeImages: this.elements.includeImages.checked,
       includeToc: this.elements.includeToc.checked,
       includeLinks: this.elements.includeLinks.checked,
+      includeReport: this.elements.includeReport.checked,
+      removeBoilerplate: this.elements.removeBoilerplate.checked,
+      scope: this.getScopeRules(),
       timestamp: Date.now()
     };
   }
   
+  /**
+   * 读取弹窗中的抓取范围规则
+   */
+  getScopeRules() {
+    return {
+      sameOrigin: this.elements.scopeSameOrigin.checked,
+      pathPrefix: this.elements.scopePathPrefix.value.trim(),
+      include: this.splitLines(this.elements.scopeInclude.value),
+      exclude: this.splitLines(this.elements.scopeExclude.value)
+    };
+  }
+  
+  /**
+   * 多行文本框 → 去掉空行的数组
+   */
+  splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  
   showProgress(message, progress = 0) {
     this.elements.progressSection.style.display = 'block';
     this.elements.progressText.textContent = message;
     this.elements.progressFill.style.width = `${progress}%`;
+    this.toggleCancelButton(false);
     this.elements.generateBtn.disabled = true;
     this.elements.previewBtn.disabled = true;
     this.elements.generateMarkdownBtn.disabled = true;
@@ -207,6 +505,7 @@ class PDFGeneratorPopup {
   
   hideProgress() {
     this.elements.progressSection.style.display = 'none';
+    this.toggleCancelButton(false);
     this.elements.generateBtn.disabled = false;
     this.elements.previewBtn.disabled = false;
     this.elements.generateMarkdownBtn.disabled = false;
@@ -224,7 +523,17 @@ class PDFGeneratorPopup {
       includeImages: this.elements.includeImages.checked,
       includeToc: this.elements.includeToc.checked,
       includeLinks: this.elements.includeLinks.checked,
+      includeReport: this.elements.includeReport.checked,
+      removeBoilerplate: this.elements.removeBoilerplate.checked,
       pageSize: this.elements.pageSize.value,
+      discoveryMode: this.elements.discoveryMode.value,
+      crawlMaxDepth: this.elements.crawlMaxDepth.value,
+      crawlMaxPages: this.elements.crawlMaxPages.value,
+      nextMaxPages: this.elements.nextMaxPages.value,
+      nextSelectors: this.elements.nextSelectors.value,
+      fetchMode: this.elements.fetchMode.value,
+      renderWaitSelector: this.elements.renderWaitSelector.value,
+      pickPages: this.elements.pickPages.checked,
       authorName: this.elements.authorName.value
     };
     
@@ -240,7 +549,17 @@ class PDFGeneratorPopup {
         this.elements.includeImages.checked = settings.includeImages !== false;
         this.elements.includeToc.checked = settings.includeToc !== false;
         this.elements.includeLinks.checked = settings.includeLinks !== false;
+        this.elements.includeReport.checked = settings.includeReport === true;
+        this.elements.removeBoilerplate.checked = settings.removeBoilerplate !== false;
         this.elements.pageSize.value = settings.pageSize || 'a4';
+        this.elements.discoveryMode.value = settings.discoveryMode || 'nav';
+        this.elements.crawlMaxDepth.value = settings.crawlMaxDepth || 3;
+        this.elements.crawlMaxPages.value = settings.crawlMaxPages || 100;
+        this.elements.nextMaxPages.value = settings.nextMaxPages || 100;
+        this.elements.nextSelectors.value = settings.nextSelectors || '';
+        this.elements.fetchMode.value = settings.fetchMode || 'fetch';
+        this.elements.renderWaitSelector.value = settings.renderWaitSelector || '';
+        this.elements.pickPages.checked = settings.pickPages === true;
         this.elements.authorName.value = settings.authorName || '';
       }
     } catch (error) {
@@ -248,6 +567,182 @@ class PDFGeneratorPopup {
     }
   }
   
+  async loadCrawlerConfig() {
+    await this.config.load();
+    this.elements.maxConcurrency.value = this.config.get('crawler.maxConcurrency');
+    this.elements.requestDelay.value = this.config.get('crawler.requestDelay');
+    this.elements.respectRobotsTxt.checked = this.config.get('crawler.respectRobotsTxt') !== false;
+    
+    this.elements.useSession.checked = this.config.get('auth.useSession') === true;
+    this.elements.sessionDomains.value = (this.config.get('auth.allowedDomains') || []).join('\n');
+    
+    this.elements.cacheEnabled.checked = this.config.get('cache.enabled') !== false;
+    this.elements.cacheTtlDays.value = Math.round(this.config.get('cache.ttl') / DAY_MS);
+    this.elements.cacheMaxSizeMB.value = Math.round(this.config.get('cache.maxBytes') / MB);
+  }
+  
+  saveCrawlerConfig() {
+    const maxConcurrency = parseInt(this.elements.maxConcurrency.value, 10);
+    const requestDelay = parseInt(this.elements.requestDelay.value, 10);
+    this.config.set('crawler.maxConcurrency', Number.isFinite(maxConcurrency) ? Math.min(Math.max(maxConcurrency, 1), 16) : 5);
+    this.config.set('crawler.requestDelay', Number.isFinite(requestDelay) ? Math.max(requestDelay, 0) : 300);
+    this.config.set('crawler.respectRobotsTxt', this.elements.respectRobotsTxt.checked);
+  }
+  
+  saveAuthConfig() {
+    this.config.set('auth.useSession', this.elements.useSession.checked);
+    this.config.set('auth.allowedDomains', this.splitLines(this.elements.sessionDomains.value));
+  }
+  
+  saveCacheConfig() {
+    const ttlDays = parseInt(this.elements.cacheTtlDays.value, 10);
+    const maxSizeMB = parseInt(this.elements.cacheMaxSizeMB.value, 10);
+    this.config.set('cache.enabled', this.elements.cacheEnabled.checked);
+    this.config.set('cache.ttl', (Number.isFinite(ttlDays) ? Math.max(ttlDays, 1) : 7) * DAY_MS);
+    this.config.set('cache.maxBytes', (Number.isFinite(maxSizeMB) ? Math.max(maxSizeMB, 10) : 200) * MB);
+  }
+  
+  /**
+   * 缓存保存在后台服务中，统计和清除都通过消息完成
+   */
+  async refreshCacheStats() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+      this.showCacheStats(response.stats);
+    } catch (error) {
+      console.log('读取缓存信息失败:', error);
+      this.elements.cacheStats.textContent = '缓存信息不可用';
+    }
+  }
+  
+  async handleClearCache() {
+    this.elements.clearCacheBtn.disabled = true;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearCache' });
+      this.showCacheStats(response.stats);
+    } catch (error) {
+      console.error('清除缓存失败:', error);
+      this.showError('清除缓存失败: ' + error.message);
+    } finally {
+      this.elements.clearCacheBtn.disabled = false;
+    }
+  }
+  
+  showCacheStats(stats) {
+    if (!stats) return;
+    const usedMB = (stats.bytes / MB).toFixed(1);
+    this.elements.cacheStats.textContent = `已缓存 ${stats.count} 项，${usedMB} MB`;
+  }
+  
+  /**
+   * 抓取范围与站点强相关，按 origin 分别保存
+   */
+  getCurrentOrigin() {
+    try {
+      return new URL(this.currentTab.url).origin;
+    } catch {
+      return null;
+    }
+  }
+  
+  async saveScopeRules() {
+    const origin = this.getCurrentOrigin();
+    if (!origin) return;
+    
+    try {
+      const result = await chrome.storage.local.get('pdfGeneratorScopes');
+      const scopes = result.pdfGeneratorScopes || {};
+      scopes[origin] = this.getScopeRules();
+      await chrome.storage.local.set({ pdfGeneratorScopes: scopes });
+    } catch (error) {
+      console.log('保存抓取范围失败:', error);
+    }
+  }
+  
+  async loadScopeRules() {
+    const origin = this.getCurrentOrigin();
+    if (!origin) return;
+    
+    try {
+      const result = await chrome.storage.local.get('pdfGeneratorScopes');
+      const rules = (result.pdfGeneratorScopes || {})[origin];
+      
+      if (rules) {
+        this.elements.scopeSameOrigin.checked = rules.sameOrigin !== false;
+        this.elements.scopePathPrefix.value = rules.pathPrefix || '';
+        this.elements.scopeInclude.value = (rules.include || []).join('\n');
+        this.elements.scopeExclude.value = (rules.exclude || []).join('\n');
+      }
+    } catch (error) {
+      console.log('加载抓取范围失败:', error);
+    }
+  }
+  
+  getSiteRuleInputs() {
+    return [this.elements.ruleContentSelector, this.elements.ruleExcludeSelectors, this.elements.ruleTitleSelector,
+      this.elements.ruleNavSelector, this.elements.ruleStripBefore, this.elements.ruleStripAfter];
+  }
+  
+  loadSiteRule() {
+    const rule = SiteRules.find(this.config.get('siteRules'), this.currentTab && this.currentTab.url)
+      || SiteRules.normalize();
+    this.elements.ruleContentSelector.value = rule.contentSelector;
+    this.elements.ruleExcludeSelectors.value = rule.excludeSelectors.join('\n');
+    this.elements.ruleTitleSelector.value = rule.titleSelector;
+    this.elements.ruleNavSelector.value = rule.navSelector;
+    this.elements.ruleStripBefore.value = rule.stripBefore;
+    this.elements.ruleStripAfter.value = rule.stripAfter;
+  }
+  
+  /**
+   * 站点的规则全部清空时删除该站点
+   */
+  saveSiteRule() {
+    const origin = this.getCurrentOrigin();
+    if (!origin) return;
+    
+    const rule = SiteRules.normalize({
+      contentSelector: this.elements.ruleContentSelector.value,
+      excludeSelectors: this.elements.ruleExcludeSelectors.value,
+      titleSelector: this.elements.ruleTitleSelector.value,
+      navSelector: this.elements.ruleNavSelector.value,
+      stripBefore: this.elements.ruleStripBefore.value,
+      stripAfter: this.elements.ruleStripAfter.value
+    });
+    
+    const rules = { ...this.config.get('siteRules') };
+    if (SiteRules.isEmpty(rule)) {
+      delete rules[origin];
+    } else {
+      rules[origin] = rule;
+    }
+    this.config.set('siteRules', rules);
+  }
+  
+  /**
+   * 在页面上点选元素，弹窗会挡住页面，发送消息后关闭
+   */
+  async handlePickElements() {
+    if (!this.currentTab) return;
+    
+    try {
+      await chrome.tabs.sendMessage(this.currentTab.id, { action: 'startElementPicker' });
+      window.close();
+    } catch (error) {
+      console.error('启动元素选取失败:', error);
+      this.showError('无法在此页面上选取元素，请刷新页面后重试');
+    }
+  }
+  
+  /**
+   * 导入和导出在单独的扩展页面中进行：弹窗中打开文件选择框会让弹窗失去焦点并关闭
+   */
+  async handleManageRules() {
+    await chrome.tabs.create({ url: chrome.runtime.getURL('rules-manager.html') });
+    window.close();
+  }
+  
   truncateUrl(url, maxLength = 40) {
     if (url.length <= maxLength) return url;
     return url.substring(0, maxLength) + '...';
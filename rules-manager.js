@@ -0,0 +1,114 @@
+/**
+ * HTML转PDF电子书生成器 - 站点规则管理页
+ *
+ * 导入规则需要打开文件选择框，在弹窗中打开时弹窗会失去焦点并关闭（Windows、Linux），
+ * change 事件不会触发，因此导入和导出放在这个扩展页面中，由弹窗在新标签页中打开
+ */
+
+class RulesManager {
+  constructor() {
+    this.config = new ConfigManager();
+    this.elements = {
+      exportRulesBtn: document.getElementById('exportRulesBtn'),
+      importRulesBtn: document.getElementById('importRulesBtn'),
+      importRulesFile: document.getElementById('importRulesFile'),
+      rulesStatus: document.getElementById('rulesStatus'),
+      rulesList: document.getElementById('rulesList')
+    };
+
+    this.elements.exportRulesBtn.addEventListener('click', () => this.handleExportRules());
+    this.elements.importRulesBtn.addEventListener('click', () => this.elements.importRulesFile.click());
+    this.elements.importRulesFile.addEventListener('change', () => this.handleImportRules());
+
+    this.init();
+  }
+
+  async init() {
+    await this.config.load();
+    this.renderRules();
+  }
+
+  /**
+   * 列出已保存的规则，便于核对导入结果
+   */
+  renderRules() {
+    const rules = this.config.get('siteRules') || {};
+    const origins = Object.keys(rules).sort();
+    this.elements.rulesList.innerHTML = '';
+
+    if (origins.length === 0) {
+      this.setStatus('还没有保存任何站点的规则');
+      return;
+    }
+
+    for (const origin of origins) {
+      const rule = SiteRules.normalize(rules[origin]);
+      const details = [
+        ['正文', rule.contentSelector],
+        ['排除', rule.excludeSelectors.join(', ')],
+        ['标题', rule.titleSelector],
+        ['导航', rule.navSelector],
+        ['开始标记', rule.stripBefore],
+        ['结束标记', rule.stripAfter]
+      ].filter(([, value]) => value);
+
+      const row = document.createElement('tr');
+      const site = document.createElement('td');
+      site.textContent = origin;
+      const summary = document.createElement('td');
+      details.forEach(([label, value]) => {
+        const line = document.createElement('div');
+        line.append(`${label}: `);
+        const code = document.createElement('code');
+        code.textContent = value;
+        line.append(code);
+        summary.append(line);
+      });
+      row.append(site, summary);
+      this.elements.rulesList.append(row);
+    }
+  }
+
+  handleExportRules() {
+    const rules = this.config.get('siteRules') || {};
+    const blob = new Blob([SiteRules.toJSON(rules)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'site-rules.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.setStatus(`已导出 ${Object.keys(rules).length} 个站点的规则`);
+  }
+
+  /**
+   * 导入的规则与已有规则合并，同一站点以导入的为准
+   */
+  async handleImportRules() {
+    const file = this.elements.importRulesFile.files[0];
+    if (!file) return;
+
+    try {
+      const imported = SiteRules.parse(await file.text());
+      // 弹窗可能在本页打开期间修改过规则
+      await this.config.load();
+      this.config.set('siteRules', { ...this.config.get('siteRules'), ...imported });
+      this.renderRules();
+      this.setStatus(`已导入 ${Object.keys(imported).length} 个站点的规则`);
+    } catch (error) {
+      console.error('导入站点规则失败:', error);
+      this.setStatus('导入规则失败: ' + error.message, true);
+    } finally {
+      this.elements.importRulesFile.value = '';
+    }
+  }
+
+  setStatus(text, isError = false) {
+    this.elements.rulesStatus.textContent = text;
+    this.elements.rulesStatus.classList.toggle('error', isError);
+  }
+}
+
+new RulesManager();
@@ -0,0 +1,299 @@
+/**
+ * HTML转PDF电子书生成器 - 站点框架适配器
+ *
+ * 基于策略模式：每个适配器识别一种文档框架，并提供该框架的
+ * 1. 导航容器选择器（用于发现页面和构建章节树）
+ * 2. 正文根节点选择器（用于提取内容）
+ * 3. 需要剔除的框架样板元素（编辑链接、翻页导航、标题锚点等）
+ *
+ * 无法识别的站点使用通用适配器，回退到启发式算法
+ */
+
+// 适配器基类
+class SiteAdapter {
+  constructor({ name, navSelectors = [], contentSelectors = [], removeSelectors = [] }) {
+    this.name = name;
+    this.navSelectors = navSelectors;
+    this.contentSelectors = contentSelectors;
+    this.removeSelectors = removeSelectors;
+  }
+
+  /**
+   * 判断文档是否由该框架生成
+   * @param {Document} doc - HTML文档对象
+   * @returns {boolean} 是否适用
+   */
+  detect(doc) {
+    throw new Error('子类必须实现detect方法');
+  }
+
+  /**
+   * 按选择器顺序查找正文根节点
+   * @param {Document} doc - HTML文档对象
+   * @returns {Element|null} 正文元素，找不到时返回null由调用方回退到启发式算法
+   */
+  findContentRoot(doc) {
+    const match = this.matchContentRoot(doc);
+    return match ? match.element : null;
+  }
+
+  /**
+   * 同 findContentRoot，同时返回命中的选择器（写入抓取报告）
+   * @returns {Object|null} {element, selector}
+   */
+  matchContentRoot(doc) {
+    for (const selector of this.contentSelectors) {
+      const element = doc.querySelector(selector);
+      if (element && element.textContent.trim().length > 50) {
+        return { element, selector };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 检查 <meta name="generator"> 标记
+   */
+  hasGenerator(doc, pattern) {
+    const generator = doc.querySelector('meta[name="generator"]');
+    return !!generator && pattern.test(generator.getAttribute('content') || '');
+  }
+}
+
+// MkDocs（含 Material 主题和 ReadTheDocs 主题）
+class MkDocsAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'MkDocs',
+      navSelectors: ['.md-nav--primary', '.wy-menu-vertical', '.bs-sidebar'],
+      contentSelectors: ['article.md-content__inner', '.md-content', '.rst-content [role="main"]', 'div[role="main"]'],
+      removeSelectors: [
+        '.md-content__button',   // 编辑/查看源码按钮
+        '.md-source-file',       // 最后更新时间
+        '.md-feedback',
+        '.md-footer',
+        '.md-top',
+        'a.headerlink',
+        '.rst-footer-buttons'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /^mkdocs/i) || !!doc.querySelector('.md-container .md-content');
+  }
+}
+
+// Docusaurus
+class DocusaurusAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'Docusaurus',
+      navSelectors: ['.theme-doc-sidebar-menu', 'nav.menu'],
+      contentSelectors: ['article .theme-doc-markdown', '.theme-doc-markdown', 'main article'],
+      removeSelectors: [
+        '.theme-doc-breadcrumbs',
+        '.theme-doc-version-badge',
+        '.theme-doc-toc-mobile',
+        '.theme-doc-footer',
+        '.theme-edit-this-page',
+        '.pagination-nav',
+        '.hash-link'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /^docusaurus/i) || !!doc.querySelector('#__docusaurus');
+  }
+}
+
+// VitePress
+class VitePressAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'VitePress',
+      navSelectors: ['#VPSidebarNav', '.VPSidebar nav'],
+      contentSelectors: ['.vp-doc', '.VPDoc .content-container'],
+      removeSelectors: [
+        '.header-anchor',
+        '.edit-link',
+        '.VPDocFooter',
+        '.prev-next',
+        '.VPDocAside'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /^vitepress/i) || !!doc.querySelector('#VPContent, .VPDoc');
+  }
+}
+
+// Sphinx（alabaster、ReadTheDocs、Furo、PyData 等主题）
+class SphinxAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'Sphinx',
+      navSelectors: ['.wy-menu-vertical', '.sidebar-tree', '.bd-docs-nav', '.sphinxsidebarwrapper'],
+      contentSelectors: ['[itemprop="articleBody"]', '#furo-main-content', 'article.bd-article', 'div.body', '.rst-content .document'],
+      removeSelectors: [
+        'a.headerlink',
+        '.wy-breadcrumbs',
+        '.rst-footer-buttons',
+        '.prev-next-area',
+        '.related-pages',
+        '.edit-this-page'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /^(sphinx|docutils)/i) ||
+      !!doc.querySelector('.sphinxsidebar, .wy-nav-content, #furo-main-content');
+  }
+}
+
+// mdBook
+class MdBookAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'mdBook',
+      navSelectors: ['#sidebar .sidebar-scrollbox', '#sidebar ol.chapter'],
+      contentSelectors: ['#content main', '.content main'],
+      removeSelectors: [
+        '.nav-wrapper',
+        '.nav-chapters',
+        '.mobile-nav-chapters',
+        '#menu-bar'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return !!doc.querySelector('#sidebar ol.chapter, #mdbook-sidebar');
+  }
+}
+
+// GitBook（gitbook-cli 生成的旧版站点）
+class GitBookAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'GitBook',
+      navSelectors: ['.book-summary ul.summary', '.book-summary'],
+      contentSelectors: ['.book-body .page-inner section.markdown-section', '.book-body .page-inner'],
+      removeSelectors: [
+        '.book-header',
+        '.navigation',           // 左右翻页箭头
+        '.gitbook-link',
+        '.page-footer'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /gitbook/i) || !!doc.querySelector('.book-summary, .book-body');
+  }
+}
+
+// VuePress
+class VuePressAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'VuePress',
+      navSelectors: ['.sidebar-links', 'aside.sidebar'],
+      contentSelectors: ['.theme-default-content', '.theme-container .page'],
+      removeSelectors: [
+        '.header-anchor',
+        '.page-edit',
+        '.page-nav',
+        '.page-meta'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return this.hasGenerator(doc, /^vuepress/i) || !!doc.querySelector('.theme-container');
+  }
+}
+
+// Docsify
+class DocsifyAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: 'Docsify',
+      navSelectors: ['.sidebar-nav'],
+      contentSelectors: ['#main.markdown-section', '.markdown-section', '#main'],
+      removeSelectors: [
+        '.docsify-pagination-container',
+        '.docsify-copy-code-button'
+      ]
+    });
+  }
+
+  detect(doc) {
+    return doc.querySelector('#main') !== null &&
+           doc.querySelector('.sidebar-nav') !== null;
+  }
+}
+
+// 通用适配器：不识别任何框架，正文交给启发式算法
+class GenericSiteAdapter extends SiteAdapter {
+  constructor() {
+    super({
+      name: '通用',
+      navSelectors: ['nav', '.sidebar', '.menu', '.navigation', '.toc', '.table-of-contents', '.nav-list'],
+      contentSelectors: [],
+      removeSelectors: []
+    });
+  }
+
+  detect(doc) {
+    return true; // 通用适配器，适用于所有页面
+  }
+}
+
+// 适配器注册表
+class SiteAdapterRegistry {
+  constructor() {
+    this.generic = new GenericSiteAdapter();
+    this.adapters = [
+      new MkDocsAdapter(),
+      new DocusaurusAdapter(),
+      new VitePressAdapter(),
+      new SphinxAdapter(),
+      new MdBookAdapter(),
+      new GitBookAdapter(),
+      new VuePressAdapter(),
+      new DocsifyAdapter(),
+      this.generic // 放在最后作为兜底
+    ];
+  }
+
+  /**
+   * 识别文档所用的框架
+   * @param {Document} doc - HTML文档对象
+   * @returns {SiteAdapter} 匹配的适配器，无法识别时返回通用适配器
+   */
+  detect(doc) {
+    for (const adapter of this.adapters) {
+      try {
+        if (adapter.detect(doc)) {
+          return adapter;
+        }
+      } catch (error) {
+        console.warn(`适配器 ${adapter.name} 检测失败:`, error);
+      }
+    }
+    return this.generic;
+  }
+
+  /**
+   * 注册新的适配器
+   * @param {SiteAdapter} adapter - 新适配器
+   */
+  register(adapter) {
+    // 插入到通用适配器之前
+    this.adapters.splice(-1, 0, adapter);
+  }
+}
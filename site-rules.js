@@ -0,0 +1,108 @@
+/**
+ * HTML转PDF电子书生成器 - 站点提取规则
+ *
+ * 启发式算法识别错误时，用户可以为站点（按 origin）指定：
+ * 1. contentSelector：正文根节点，优先于站点框架适配器和正文评分
+ * 2. excludeSelectors：正文中要移除的元素
+ * 3. titleSelector：页面标题，代替 <title>
+ * 4. navSelector：导航容器，用于发现页面
+ * 5. stripBefore / stripAfter：开始和结束标记（CSS 选择器或一段文字），
+ *    删除开始标记之前、结束标记及之后的内容
+ *
+ * 规则保存在配置的 siteRules 中（origin -> 规则），随导出任务传给离屏文档；
+ * 弹窗、内容脚本和离屏文档共用
+ */
+
+class SiteRules {
+  /**
+   * 统一规则格式，忽略未知字段
+   */
+  static normalize(rule = {}) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const excludeSelectors = Array.isArray(rule.excludeSelectors)
+      ? rule.excludeSelectors
+      : String(rule.excludeSelectors || '').split('\n');
+
+    return {
+      contentSelector: text(rule.contentSelector),
+      excludeSelectors: excludeSelectors.map(text).filter(Boolean),
+      titleSelector: text(rule.titleSelector),
+      navSelector: text(rule.navSelector),
+      stripBefore: text(rule.stripBefore),
+      stripAfter: text(rule.stripAfter)
+    };
+  }
+
+  static isEmpty(rule) {
+    return !rule || (!rule.contentSelector && rule.excludeSelectors.length === 0 && !rule.titleSelector &&
+      !rule.navSelector && !rule.stripBefore && !rule.stripAfter);
+  }
+
+  /**
+   * 查找页面所在站点的规则
+   * @param {Object} rules - origin -> 规则
+   * @returns {Object|null} 规则，站点没有规则时返回 null
+   */
+  static find(rules, url) {
+    if (!rules || !url) return null;
+
+    try {
+      const rule = rules[new URL(url).origin];
+      return rule ? SiteRules.normalize(rule) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 导出为 JSON 文本
+   */
+  static toJSON(rules) {
+    return JSON.stringify({
+      format: 'html-to-pdf-site-rules',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      rules: rules || {}
+    }, null, 2);
+  }
+
+  /**
+   * 解析导入的 JSON：接受 toJSON 的输出，或直接的 origin -> 规则映射
+   * 键可以是完整URL，统一转换为 origin；规则不是对象时整个文件都不导入
+   * @returns {Object} origin -> 规则（已统一格式，跳过空规则）
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`规则文件不是有效的 JSON: ${error.message}`);
+    }
+
+    const source = data && typeof data.rules === 'object' ? data.rules : data;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error('规则文件格式不正确，应为“站点地址 -> 规则”的对象');
+    }
+
+    const rules = {};
+    for (const [key, rule] of Object.entries(source)) {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`规则文件格式不正确，站点 ${key} 的规则应为对象`);
+      }
+
+      let origin;
+      try {
+        origin = new URL(key).origin;
+      } catch (e) {
+        console.warn(`⚠️ 跳过无效的站点地址: ${key}`);
+        continue;
+      }
+
+      const normalized = SiteRules.normalize(rule);
+      if (!SiteRules.isEmpty(normalized)) {
+        rules[origin] = normalized;
+      }
+    }
+    return rules;
+  }
+}